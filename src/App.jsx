@@ -1,34 +1,62 @@
-import React, { useState } from 'react';
+import React from 'react';
 import HomePage from './pages/HomePage.jsx';
 import ShowPage from './pages/ShowPage.jsx';
 import FavouritesPage from './pages/FavouritesPage.jsx';
+import BookmarksPage from './pages/BookmarksPage.jsx';
+import HistoryPage from './pages/HistoryPage.jsx';
+import StatsPage from './pages/StatsPage.jsx';
+import DownloadsPage from './pages/DownloadsPage.jsx';
+import InboxPage from './pages/InboxPage.jsx';
+import SearchPage from './pages/SearchPage.jsx';
+import SettingsPage from './pages/SettingsPage.jsx';
+import NotFoundPage from './pages/NotFoundPage.jsx';
 import PlayerShell from './components/PlayerShell.jsx';
+import { navigate, useRouter } from './router.js';
+import { initShortcuts } from './vanilla/shortcuts.js';
+import { initOfflineBanner } from './vanilla/offline.js';
+import { checkNewEpisodes } from './vanilla/app.js';
+
+/**
+ * Route table: first match wins. `params` / `query` convert URL values
+ * into the typed props each page receives.
+ */
+const ROUTES = [
+  { path: '/', page: HomePage },
+  {
+    path: '/show/:id/season/:season/episode/:episode',
+    page: ShowPage,
+    params: { season: Number, episode: Number },
+    query: { t: Number },
+  },
+  { path: '/show/:id', page: ShowPage },
+  // Legacy "#/show?id=123" links
+  { path: '/show', page: ShowPage, query: { id: String } },
+  { path: '/favourites', page: FavouritesPage },
+  { path: '/bookmarks', page: BookmarksPage },
+  { path: '/history', page: HistoryPage },
+  { path: '/stats', page: StatsPage },
+  { path: '/downloads', page: DownloadsPage },
+  { path: '/inbox', page: InboxPage },
+  { path: '/search', page: SearchPage, query: { q: String } },
+  { path: '/settings', page: SettingsPage },
+];
 
 export default function App() {
-  const [route, setRoute] = useState(window.location.hash || '#/');
+  const { path, search, match } = useRouter(ROUTES);
 
   React.useEffect(() => {
-    const onHashChange = () => setRoute(window.location.hash || '#/');
-    window.addEventListener('hashchange', onHashChange);
-    return () => window.removeEventListener('hashchange', onHashChange);
+    initShortcuts(navigate);
+    initOfflineBanner();
+    checkNewEpisodes();
   }, []);
 
-  const navigate = (hash) => {
-    window.location.hash = hash;
-  };
-
-  let page = null;
-  if (route.startsWith('#/show')) {
-    page = <ShowPage />;
-  } else if (route.startsWith('#/favourites')) {
-    page = <FavouritesPage />;
-  } else {
-    page = <HomePage />;
-  }
+  const Page = match ? match.route.page : NotFoundPage;
+  const props = match ? match.props : { path };
 
+  // A new URL mounts a fresh page, so vanilla renderers start from clean DOM
   return (
     <PlayerShell onNav={navigate}>
-      {page}
+      <Page key={`${path}${search}`} {...props} />
     </PlayerShell>
   );
-}
\ No newline at end of file
+}
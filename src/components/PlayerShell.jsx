@@ -1,6 +1,16 @@
 import React from 'react';
+import { usePlayer } from '../usePlayer.js';
 
 export default function PlayerShell({ children, onNav }) {
+  const track = usePlayer((s) => s.track);
+  const playing = usePlayer((s) => s.playing);
+
+  const onSearch = (e) => {
+    e.preventDefault();
+    const q = new FormData(e.currentTarget).get('q')?.toString().trim() || '';
+    onNav(`#/search?q=${encodeURIComponent(q)}`);
+  };
+
   return (
     <div id="app-root">
       <header className="header">
@@ -8,6 +18,15 @@ export default function PlayerShell({ children, onNav }) {
           <div role="img" aria-label="The Healing Mic logo">🎙️</div>
           <h1>The Healing Mic</h1>
           <div className="spacer" />
+          <form className="search-form" role="search" onSubmit={onSearch}>
+            <input
+              id="searchInput"
+              name="q"
+              type="search"
+              placeholder="Search shows & episodes"
+              aria-label="Search shows and episodes"
+            />
+          </form>
           <button className="btn" type="button" onClick={() => onNav('#/')}>
             Home
           </button>
@@ -18,33 +37,216 @@ export default function PlayerShell({ children, onNav }) {
           >
             Favourites
           </button>
+          <button
+            className="btn"
+            type="button"
+            onClick={() => onNav('#/inbox')}
+          >
+            Inbox{' '}
+            <span id="inboxCount" className="nav-count" hidden />
+          </button>
+          <button
+            className="btn"
+            type="button"
+            onClick={() => onNav('#/bookmarks')}
+          >
+            Bookmarks
+          </button>
+          <button
+            className="btn"
+            type="button"
+            onClick={() => onNav('#/history')}
+          >
+            History
+          </button>
+          <button
+            className="btn"
+            type="button"
+            onClick={() => onNav('#/stats')}
+          >
+            Stats
+          </button>
+          <button
+            className="btn"
+            type="button"
+            onClick={() => onNav('#/downloads')}
+          >
+            Downloads
+          </button>
+          <button
+            className="btn"
+            type="button"
+            onClick={() => onNav('#/settings')}
+          >
+            Settings
+          </button>
           <button id="themeToggle" className="btn" type="button">
             🌙 Dark
           </button>
         </nav>
       </header>
 
+      <div
+        id="offlineBanner"
+        className="offline-banner"
+        role="status"
+        hidden
+      />
       <main className="container page">{children}</main>
 
       <footer className="player">
         <div>
           <div id="nowTitle" className="title">
-            No episode selected
+            {track ? track.title || 'Now Playing' : 'No episode selected'}
           </div>
           <div id="nowSub" className="subtitle">
-            The Healing Mic
+            {track ? track.subtitle : 'The Healing Mic'}
           </div>
+          <div id="nowChapter" className="subtitle chapter-title" />
         </div>
         <button id="back10" className="btn" type="button">
           « 10s
         </button>
-        <button id="playToggle" className="btn" type="button">
-          ▶️
+        <button
+          id="playToggle"
+          className="btn"
+          type="button"
+          aria-label={playing ? 'Pause' : 'Play'}
+        >
+          {playing ? '⏸' : '▶️'}
         </button>
         <button id="fwd10" className="btn" type="button">
           10s »
         </button>
-        <input id="progress" type="range" min="0" max="100" step="1" />
+        <div className="progress-wrap">
+          <input id="progress" type="range" min="0" max="100" step="1" />
+          <div id="chapterTicks" className="chapter-ticks" aria-hidden="true" />
+        </div>
+        <div className="player-extras">
+          <button
+            id="prevChapter"
+            className="btn"
+            type="button"
+            title="Previous chapter"
+            hidden
+          >
+            ⏮ Ch
+          </button>
+          <button
+            id="nextChapter"
+            className="btn"
+            type="button"
+            title="Next chapter"
+            hidden
+          >
+            Ch ⏭
+          </button>
+          <label className="speed">
+            <span className="sr-only">Playback speed</span>
+            <select id="speedSelect" title="Playback speed">
+              <option value="1">1×</option>
+            </select>
+          </label>
+          <label className="sleep">
+            <span className="sr-only">Sleep timer</span>
+            <select id="sleepSelect" title="Sleep timer" defaultValue="">
+              <option value="">💤 Off</option>
+              <option value="5">5 min</option>
+              <option value="15">15 min</option>
+              <option value="30">30 min</option>
+              <option value="60">60 min</option>
+              <option value="end">End of this episode</option>
+              <option value="custom">Custom…</option>
+            </select>
+          </label>
+          <span id="sleepCountdown" className="muted" aria-live="polite" />
+          <button
+            id="bookmarkBtn"
+            className="btn"
+            type="button"
+            title="Bookmark this moment"
+          >
+            🔖 Bookmark
+          </button>
+          <button
+            id="copyLink"
+            className="btn"
+            type="button"
+            title="Copy link at current time"
+          >
+            🔗 Copy link
+          </button>
+          <button
+            id="transcriptToggle"
+            className="btn"
+            type="button"
+            aria-expanded="false"
+            aria-controls="transcriptPanel"
+          >
+            Transcript
+          </button>
+          <button
+            id="queueToggle"
+            className="btn"
+            type="button"
+            aria-expanded="false"
+            aria-controls="queuePanel"
+          >
+            Up Next (0)
+          </button>
+        </div>
+        <section id="queuePanel" className="queue-panel" hidden>
+          <div className="queue-head">
+            <strong>Up Next</strong>
+            <button id="queueClear" className="btn btn-danger" type="button">
+              Clear
+            </button>
+          </div>
+          <ol id="queueList" className="queue-list" />
+        </section>
+        <section
+          id="transcriptPanel"
+          className="queue-panel transcript-panel"
+          aria-labelledby="transcriptTitle"
+          hidden
+        >
+          <div className="queue-head">
+            <strong id="transcriptTitle">Transcript</strong>
+            <button id="transcriptClose" className="btn" type="button">
+              Close
+            </button>
+          </div>
+          <div className="toolbar">
+            <input
+              id="transcriptSearch"
+              type="search"
+              placeholder="Search transcript (Enter for next)"
+              aria-label="Search transcript"
+            />
+            <span id="transcriptStatus" className="muted" role="status" />
+          </div>
+          <div id="transcriptBody" className="transcript-body" />
+          <form id="transcriptLoad" className="toolbar">
+            <input
+              name="url"
+              type="url"
+              placeholder="Transcript URL (VTT, SRT, JSON)"
+              required
+            />
+            <button className="btn" type="submit">
+              Load URL
+            </button>
+            <label className="btn">
+              Upload file
+              <input
+                id="transcriptFile"
+                type="file"
+                accept=".vtt,.srt,.json,text/vtt,application/json"
+                hidden
+              />
+            </label>
+          </form>
+        </section>
         <audio id="audio" crossOrigin="anonymous" />
       </footer>
     </div>
@@ -1,8 +1,16 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App.jsx';
+import { runMigrations } from './vanilla/backup.js';
+import { registerServiceWorker } from './vanilla/offline.js';
 import './styles.css';
 
+// Upgrade stored data to the current schema before anything reads it
+runMigrations();
+
+// Installable app: precache the shell so it opens offline
+registerServiceWorker();
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
    <App />
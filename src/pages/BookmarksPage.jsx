@@ -0,0 +1,20 @@
+import React from 'react';
+import { initTheme, mountPlayer, renderBookmarks } from '../vanilla/app.js';
+
+export default function BookmarksPage() {
+  React.useEffect(() => {
+    initTheme();
+    mountPlayer();
+    renderBookmarks();
+  }, []);
+
+  return (
+    <>
+      <h2 className="section-title">Bookmarks</h2>
+      <p className="muted">
+        Saved moments across all episodes. Click one to play from there.
+      </p>
+      <div id="bookmarkContainer" />
+    </>
+  );
+}
@@ -0,0 +1,38 @@
+import React from 'react';
+import { initTheme, mountPlayer, renderDownloads } from '../vanilla/app.js';
+
+export default function DownloadsPage() {
+  React.useEffect(() => {
+    initTheme();
+    mountPlayer();
+    renderDownloads();
+  }, []);
+
+  return (
+    <>
+      <h2 className="section-title">Downloads</h2>
+      <p id="downloadsUsage" className="muted" />
+      <div className="toolbar">
+        <label className="check">
+          <input id="downloadsSelectAll" type="checkbox" /> Select all
+        </label>
+        <button
+          id="deleteSelectedDownloads"
+          className="btn btn-danger"
+          type="button"
+          disabled
+        >
+          Delete selected
+        </button>
+        <button
+          id="deleteAllDownloads"
+          className="btn btn-danger"
+          type="button"
+        >
+          Delete all
+        </button>
+      </div>
+      <div id="downloadsContainer" />
+    </>
+  );
+}
@@ -15,6 +15,18 @@ export default function FavouritesPage() {
         <button id="clearFavs" className="btn" type="button">
           Clear favourites
         </button>
+        <button id="exportOpml" className="btn" type="button">
+          Export OPML
+        </button>
+        <label className="btn" htmlFor="importOpml">
+          Import OPML
+        </label>
+        <input
+          id="importOpml"
+          type="file"
+          accept=".opml,.xml,text/x-opml,text/xml,application/xml"
+          hidden
+        />
         <label htmlFor="favSort">Sort:</label>
         <select id="favSort">
           <option value="newest">Newest</option>
@@ -27,6 +39,7 @@ export default function FavouritesPage() {
           <option value="__all">All Shows</option>
         </select>
       </div>
+      <div id="opmlPreview" />
       <div id="favContainer" />
     </>
   );
@@ -0,0 +1,31 @@
+import React from 'react';
+import { initTheme, mountPlayer, renderHistory } from '../vanilla/app.js';
+
+export default function HistoryPage() {
+  React.useEffect(() => {
+    initTheme();
+    mountPlayer();
+    renderHistory();
+  }, []);
+
+  return (
+    <>
+      <h2 className="section-title">Listening History</h2>
+      <div className="toolbar">
+        <label htmlFor="historyFrom">From</label>
+        <input id="historyFrom" type="date" />
+        <label htmlFor="historyTo">To</label>
+        <input id="historyTo" type="date" />
+        <button
+          id="clearHistoryRange"
+          className="btn btn-danger"
+          type="button"
+          title="Leave both dates empty to clear everything"
+        >
+          Clear history
+        </button>
+      </div>
+      <div id="historyContainer" />
+    </>
+  );
+}
@@ -10,6 +10,10 @@ export default function HomePage() {
 
   return (
     <>
+      <section id="continueSection" hidden>
+        <h2 className="section-title">Continue Listening</h2>
+        <ul className="carousel" id="continueShelf" />
+      </section>
       <h2 className="section-title">Recommended Shows</h2>
       <ul className="carousel" id="carousel" />
       <div className="toolbar">
@@ -25,6 +29,19 @@ export default function HomePage() {
         </select>
       </div>
       <section className="grid" id="grid" />
+      <form id="feedForm" className="toolbar">
+        <label htmlFor="feedUrl">Add podcast by RSS/Atom URL:</label>
+        <input
+          id="feedUrl"
+          type="url"
+          placeholder="https://example.com/feed.xml"
+          required
+        />
+        <button className="btn" type="submit">
+          Subscribe
+        </button>
+        <span id="feedStatus" className="muted" role="status" />
+      </form>
     </>
   );
-}
\ No newline at end of file
+}
@@ -0,0 +1,26 @@
+import React from 'react';
+import { initTheme, mountPlayer, renderInbox } from '../vanilla/app.js';
+
+export default function InboxPage() {
+  React.useEffect(() => {
+    initTheme();
+    mountPlayer();
+    renderInbox();
+  }, []);
+
+  return (
+    <>
+      <h2 className="section-title">New Episodes</h2>
+      <p className="muted">
+        Episodes added to your favourite shows since you last looked. Playing
+        one marks it seen.
+      </p>
+      <div className="toolbar">
+        <button id="markAllSeen" className="btn" type="button">
+          Mark all seen
+        </button>
+      </div>
+      <div id="inboxContainer" />
+    </>
+  );
+}
@@ -0,0 +1,22 @@
+import React from 'react';
+import { initTheme, mountPlayer } from '../vanilla/app.js';
+
+export default function NotFoundPage({ path = '' }) {
+  React.useEffect(() => {
+    initTheme();
+    mountPlayer();
+  }, []);
+
+  return (
+    <section className="not-found">
+      <h2 className="section-title">Page not found</h2>
+      <p className="muted">
+        There is nothing at <code>{path}</code>. The link may be mistyped or the
+        page may have moved.
+      </p>
+      <a className="btn" href="#/">
+        Back to Home
+      </a>
+    </section>
+  );
+}
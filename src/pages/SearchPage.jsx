@@ -0,0 +1,22 @@
+import React from 'react';
+import { initTheme, mountPlayer } from '../vanilla/app.js';
+import { renderSearch } from '../vanilla/search.js';
+
+export default function SearchPage({ q = '' }) {
+  React.useEffect(() => {
+    initTheme();
+    mountPlayer();
+  }, []);
+
+  React.useEffect(() => {
+    renderSearch(q);
+  }, [q]);
+
+  return (
+    <>
+      <h2 className="section-title">Search</h2>
+      <p id="searchSummary" className="muted" />
+      <div id="searchResults" />
+    </>
+  );
+}
@@ -0,0 +1,97 @@
+import React from 'react';
+import {
+  initTheme,
+  mountPlayer,
+  renderPlaybackSettings,
+} from '../vanilla/app.js';
+import { renderBackupControls } from '../vanilla/backup.js';
+import { renderShortcutSettings } from '../vanilla/shortcuts.js';
+import { renderNotificationSettings } from '../vanilla/inbox.js';
+
+export default function SettingsPage() {
+  React.useEffect(() => {
+    initTheme();
+    mountPlayer();
+    renderPlaybackSettings();
+    renderShortcutSettings();
+    renderNotificationSettings();
+    renderBackupControls();
+  }, []);
+
+  return (
+    <>
+      <h2 className="section-title">Settings</h2>
+
+      <section className="settings-section">
+        <h3>Playback</h3>
+        <div className="toolbar">
+          <label htmlFor="defaultSpeed">Default speed:</label>
+          <select id="defaultSpeed" />
+        </div>
+        <p className="muted">
+          Used for shows you haven&apos;t picked a speed for. Changing the speed
+          in the player remembers it for that show.
+        </p>
+      </section>
+
+      <section className="settings-section">
+        <h3>Keyboard shortcuts</h3>
+        <p className="muted">
+          Press <kbd>?</kbd> anywhere to see these. Shortcuts are ignored while
+          typing in a text box or menu.
+        </p>
+        <div id="shortcutSettings" />
+        <div className="toolbar">
+          <button id="resetShortcuts" className="btn" type="button">
+            Reset to defaults
+          </button>
+        </div>
+      </section>
+
+      <section className="settings-section">
+        <h3>Notifications</h3>
+        <label className="check">
+          <input id="notifyNewEpisodes" type="checkbox" /> Notify me about new
+          episodes of my favourite shows when I open the app
+        </label>
+        <p id="notifyStatus" className="muted" role="status" />
+      </section>
+
+      <section className="settings-section">
+        <h3>Your data</h3>
+        <p className="muted">
+          Favourites, listening progress, queue, feeds, speeds, shortcuts and
+          theme are stored in this browser. Download a backup to move them to
+          another device.
+        </p>
+        <div className="toolbar">
+          <button id="exportBackup" className="btn" type="button">
+            Download backup
+          </button>
+          <label className="btn" htmlFor="importBackup">
+            Restore from file
+          </label>
+          <input
+            id="importBackup"
+            type="file"
+            accept=".json,application/json"
+            hidden
+          />
+          <label>
+            <input
+              type="radio"
+              name="restoreMode"
+              value="merge"
+              defaultChecked
+            />{' '}
+            Merge
+          </label>
+          <label>
+            <input type="radio" name="restoreMode" value="replace" /> Replace
+          </label>
+        </div>
+        <p id="backupStatus" className="muted" role="status" />
+      </section>
+    </>
+  );
+}
@@ -2,32 +2,20 @@
 import React from "react";
 import { initTheme, mountPlayer, renderShow } from "../vanilla/app.js";
 
-export default function ShowPage() {
+export default function ShowPage({ id, season, episode, t }) {
   React.useEffect(() => {
     // Initialise theme + global player once this route is active
     initTheme();
     mountPlayer();
 
-    // Read ID from the hash router used in your React app
-    // Expected pattern: #/show/123
-    const hash = window.location.hash || "";
-    let id = null;
-
-    // Try pattern "#/show/123"
-    const match = hash.match(/#\/show\/(\d+)/);
-    if (match && match[1]) {
-      id = match[1];
-    } else if (hash.includes("?")) {
-      // Fallback for pattern "#/show?id=123"
-      const query = hash.slice(hash.indexOf("?")); // ?id=123
-      const params = new URLSearchParams(query);
-      id = params.get("id");
-    }
+    // Params come typed from the route table in App.jsx:
+    // #/show/:id or #/show/:id/season/:season/episode/:episode?t=90
+    const target = episode ? { season, episode, t } : null;
 
     // Pass the id to vanilla renderShow (it will also
     // fall back to ?id= in the URL if id is null)
-    renderShow(id || undefined);
-  }, []);
+    renderShow(id || undefined, target);
+  }, [id, season, episode, t]);
 
   return (
     <>
@@ -46,6 +34,20 @@ export default function ShowPage() {
           <div className="toolbar">
             <label htmlFor="seasonSelect">Season</label>
             <select id="seasonSelect" />
+            <label className="check">
+              <input id="hidePlayed" type="checkbox" /> Hide played
+            </label>
+          </div>
+          <div className="toolbar season-actions">
+            <button id="playSeason" className="btn" type="button">
+              Play season from start
+            </button>
+            <button id="playUnplayed" className="btn" type="button">
+              Play unplayed episodes in order
+            </button>
+            <button id="markSeasonPlayed" className="btn" type="button">
+              Mark season played
+            </button>
           </div>
         </div>
       </section>
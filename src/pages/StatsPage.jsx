@@ -0,0 +1,36 @@
+import React from 'react';
+import { initTheme, mountPlayer } from '../vanilla/app.js';
+import { renderStats } from '../vanilla/stats.js';
+
+export default function StatsPage() {
+  React.useEffect(() => {
+    initTheme();
+    mountPlayer();
+    renderStats();
+  }, []);
+
+  return (
+    <>
+      <h2 className="section-title">Listening Stats</h2>
+      <div className="toolbar">
+        <label htmlFor="statsFrom">From</label>
+        <input id="statsFrom" type="date" />
+        <label htmlFor="statsTo">To</label>
+        <input id="statsTo" type="date" />
+        <button className="btn" type="button" data-range="7">
+          7 days
+        </button>
+        <button className="btn" type="button" data-range="30">
+          30 days
+        </button>
+        <button className="btn" type="button" data-range="90">
+          90 days
+        </button>
+        <button className="btn" type="button" data-range="0">
+          All time
+        </button>
+      </div>
+      <div id="statsContainer" />
+    </>
+  );
+}
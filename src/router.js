@@ -0,0 +1,280 @@
+/**
+ * router.js — Declarative client-side routing for The Healing Mic.
+ *
+ * - Routes are plain `{ path, page, params?, query? }` entries. `:name`
+ *   path segments become params; `params` / `query` map names to
+ *   converters (Number, String) so pages receive typed props. A param
+ *   that does not convert (e.g. a non-numeric season) means no match.
+ * - Hash mode (default) uses "#/show/123". History mode
+ *   (VITE_ROUTER_MODE=history) uses clean "/show/123" URLs and needs the
+ *   server to rewrite unknown paths to index.html.
+ * - In-app links are always written as "#/…"; in history mode they are
+ *   intercepted and turned into clean URLs, so both modes share markup.
+ * - The scroll position is remembered per URL and restored when coming
+ *   back to it; following a link starts at the top.
+ */
+import React from 'react';
+
+const env = import.meta.env || {};
+
+export const ROUTER_MODE =
+  env.VITE_ROUTER_MODE === 'history' ? 'history' : 'hash';
+
+/* Deploy base path without the trailing slash ("" at the domain root) */
+const BASE = (env.BASE_URL || '/').replace(/\/$/, '');
+
+/* =========================
+   LOCATIONS + URLS
+========================= */
+
+/**
+ * Split "#/a/b?x=1" or "/a/b?x=1" into { path, search }.
+ *
+ * @param {string} to
+ * @returns {{ path: string, search: string }}
+ */
+export function parseLocation(to) {
+  let s = String(to || '');
+  if (s.startsWith('#')) s = s.slice(1);
+  if (!s.startsWith('/')) s = `/${s}`;
+  const i = s.indexOf('?');
+  return i < 0
+    ? { path: s, search: '' }
+    : { path: s.slice(0, i), search: s.slice(i) };
+}
+
+/** The app location of the current URL, in either mode. */
+export function currentLocation() {
+  if (ROUTER_MODE === 'history' && !window.location.hash.startsWith('#/')) {
+    let path = window.location.pathname;
+    if (BASE && path.startsWith(BASE)) path = path.slice(BASE.length);
+    return { path: path || '/', search: window.location.search };
+  }
+  return parseLocation(window.location.hash || '#/');
+}
+
+/**
+ * The href for an app location in the current mode.
+ *
+ * @param {string} to "#/show/1" or "/show/1"
+ */
+export function hrefFor(to) {
+  const { path, search } = parseLocation(to);
+  return ROUTER_MODE === 'history'
+    ? `${BASE}${path}${search}`
+    : `#${path}${search}`;
+}
+
+/** Absolute, shareable URL for an app location. */
+export function absoluteUrl(to) {
+  return new URL(hrefFor(to), window.location.href).href;
+}
+
+/** Absolute URL of the app's entry page, e.g. "https://example.com/". */
+export function appBaseUrl() {
+  return `${window.location.origin}${BASE}/`;
+}
+
+/* =========================
+   MATCHING
+========================= */
+
+const compiled = new WeakMap();
+
+function compile(route) {
+  if (!compiled.has(route)) {
+    const keys = [];
+    const pattern = route.path
+      .split('/')
+      .map((seg) => {
+        if (!seg.startsWith(':')) {
+          return seg.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }
+        keys.push(seg.slice(1));
+        return '([^/]+)';
+      })
+      .join('/');
+    compiled.set(route, { regex: new RegExp(`^${pattern}/?$`), keys });
+  }
+  return compiled.get(route);
+}
+
+/* A malformed escape (e.g. "%E0") makes the route not match */
+function decode(raw) {
+  try {
+    return decodeURIComponent(raw);
+  } catch {
+    return undefined;
+  }
+}
+
+function convert(fn, raw) {
+  const value = (fn || String)(raw);
+  return typeof value === 'number' && Number.isNaN(value) ? undefined : value;
+}
+
+/**
+ * Find the first route matching a location.
+ *
+ * @param {Array<Object>} routes route table
+ * @param {{ path: string, search: string }} location
+ * @returns {{ route: Object, props: Object }|null}
+ */
+export function matchRoute(routes, { path, search }) {
+  const query = new URLSearchParams(search);
+
+  for (const route of routes) {
+    const { regex, keys } = compile(route);
+    const m = path.match(regex);
+    if (!m) continue;
+
+    const props = {};
+    const ok = keys.every((key, i) => {
+      const raw = decode(m[i + 1]);
+      const value =
+        raw === undefined ? undefined : convert(route.params?.[key], raw);
+      props[key] = value;
+      return value !== undefined;
+    });
+    if (!ok) continue;
+
+    Object.entries(route.query || {}).forEach(([key, fn]) => {
+      if (!query.has(key)) return;
+      const value = convert(fn, query.get(key));
+      if (value !== undefined) props[key] = value;
+    });
+    return { route, props };
+  }
+  return null;
+}
+
+/* =========================
+   NAVIGATION
+========================= */
+
+const listeners = new Set();
+
+/* Set when the next location comes from a link/navigate() (not back/forward) */
+let pushed = false;
+
+/**
+ * Go to an app location ("#/show/1" or "/show/1").
+ *
+ * @param {string} to
+ * @param {{ replace?: boolean }} [options]
+ */
+export function navigate(to, { replace = false } = {}) {
+  pushed = true;
+  const href = hrefFor(to);
+  if (ROUTER_MODE === 'history') {
+    window.history[replace ? 'replaceState' : 'pushState'](null, '', href);
+    listeners.forEach((fn) => fn());
+  } else if (replace) {
+    window.location.replace(href);
+  } else {
+    window.location.hash = href;
+  }
+}
+
+/* History mode: turn a "#/…" URL (old bookmark, in-app hash) into a clean one */
+function normaliseUrl() {
+  if (ROUTER_MODE !== 'history') return;
+  if (!window.location.hash.startsWith('#/')) return;
+  window.history.replaceState(null, '', hrefFor(window.location.hash));
+}
+
+/* Clicks on in-app "#/…" links count as pushes; in history mode they are
+   handled here instead of changing the hash */
+function onLinkClick(e) {
+  if (e.defaultPrevented || e.button !== 0) return;
+  if (e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+  const a = e.target.closest?.('a[href^="#/"]');
+  if (!a || a.target) return;
+  if (ROUTER_MODE === 'history') {
+    e.preventDefault();
+    navigate(a.getAttribute('href'));
+  } else {
+    pushed = true;
+  }
+}
+
+/* =========================
+   SCROLL RESTORATION
+========================= */
+
+const scrollPositions = new Map();
+let scrollKey = '';
+let restoring = false;
+
+function onScroll() {
+  if (!restoring && scrollKey) scrollPositions.set(scrollKey, window.scrollY);
+}
+
+/* Pages render their content asynchronously, so retry for a short while */
+function restoreScroll(y) {
+  const key = scrollKey;
+  restoring = true;
+  let frames = 0;
+  const step = () => {
+    window.scrollTo(0, y);
+    const done =
+      Math.abs(window.scrollY - y) < 2 || frames++ > 60 || scrollKey !== key;
+    if (done) restoring = false;
+    else requestAnimationFrame(step);
+  };
+  step();
+}
+
+/* =========================
+   REACT HOOK
+========================= */
+
+/**
+ * Subscribe to the current location and match it against `routes`.
+ *
+ * @param {Array<Object>} routes
+ * @returns {{ path: string, search: string, match: Object|null }}
+ */
+export function useRouter(routes) {
+  const [location, setLocation] = React.useState(() => {
+    normaliseUrl();
+    return currentLocation();
+  });
+
+  React.useEffect(() => {
+    const update = () => {
+      normaliseUrl();
+      setLocation(currentLocation());
+    };
+    if ('scrollRestoration' in window.history) {
+      window.history.scrollRestoration = 'manual';
+    }
+
+    listeners.add(update);
+    window.addEventListener('popstate', update);
+    window.addEventListener('hashchange', update);
+    window.addEventListener('scroll', onScroll, { passive: true });
+    document.addEventListener('click', onLinkClick);
+    return () => {
+      listeners.delete(update);
+      window.removeEventListener('popstate', update);
+      window.removeEventListener('hashchange', update);
+      window.removeEventListener('scroll', onScroll);
+      document.removeEventListener('click', onLinkClick);
+    };
+  }, []);
+
+  const key = `${location.path}${location.search}`;
+  React.useLayoutEffect(() => {
+    scrollKey = key;
+    if (pushed) {
+      pushed = false;
+      scrollPositions.delete(key);
+      window.scrollTo(0, 0);
+    } else {
+      restoreScroll(scrollPositions.get(key) || 0);
+    }
+  }, [key]);
+
+  return { ...location, match: matchRoute(routes, location) };
+}
@@ -0,0 +1,27 @@
+import { describe, expect, it } from 'vitest';
+import { matchRoute } from './router.js';
+
+const ROUTES = [
+  { path: '/', page: 'home' },
+  { path: '/show/:id', page: 'show' },
+  {
+    path: '/show/:id/season/:season',
+    page: 'season',
+    params: { season: Number },
+  },
+];
+
+describe('matchRoute', () => {
+  it('decodes params and converts them', () => {
+    const match = matchRoute(ROUTES, {
+      path: '/show/a%20b/season/2',
+      search: '',
+    });
+    expect(match.route.page).toBe('season');
+    expect(match.props).toEqual({ id: 'a b', season: 2 });
+  });
+
+  it('does not match a malformed escape', () => {
+    expect(matchRoute(ROUTES, { path: '/show/%E0', search: '' })).toBeNull();
+  });
+});
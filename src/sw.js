@@ -0,0 +1,85 @@
+/**
+ * sw.js — Service worker for The Healing Mic.
+ *
+ * Built by the `serviceWorker` plugin in vite.config.js, which prepends
+ * `self.__PRECACHE` (app shell files) and `self.__SHELL_VERSION`.
+ *
+ * - Precaches the app shell so the app opens offline.
+ * - Navigations: network first, falling back to the cached index.html
+ *   (so history-mode URLs work offline too).
+ * - Shell files: cache first.
+ * - Episode audio downloaded by the app (Cache Storage "earbuzz-audio-v1")
+ *   is served from the cache.
+ * Show data is cached by the app itself (src/vanilla/offline.js).
+ */
+
+const SHELL_CACHE = `earbuzz-shell-${self.__SHELL_VERSION || "dev"}`;
+const AUDIO_CACHE = "earbuzz-audio-v1";
+/* Caches owned by the app pages; never deleted here */
+const KEEP = [AUDIO_CACHE, "earbuzz-data-v1"];
+
+const scope = new URL(self.registration.scope);
+const shellUrls = (self.__PRECACHE || []).map(
+  (path) => new URL(path, scope).href
+);
+const indexUrl = new URL("./", scope).href;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll([indexUrl, ...shellUrls]))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key !== SHELL_CACHE && !KEEP.includes(key))
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+async function fromNetworkOrIndex(request) {
+  try {
+    return await fetch(request);
+  } catch (err) {
+    const cached = await caches.match(indexUrl, { cacheName: SHELL_CACHE });
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+async function fromCacheOrNetwork(request, cacheName) {
+  const cached = await caches.match(request, { cacheName });
+  return cached || fetch(request);
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(fromNetworkOrIndex(request));
+    return;
+  }
+
+  const url = new URL(request.url);
+  url.hash = "";
+  if (shellUrls.includes(url.href)) {
+    event.respondWith(fromCacheOrNetwork(request, SHELL_CACHE));
+    return;
+  }
+
+  if (request.destination === "audio") {
+    event.respondWith(fromCacheOrNetwork(request, AUDIO_CACHE));
+  }
+});
@@ -0,0 +1,15 @@
+import React from 'react';
+import { getState, subscribe } from './vanilla/player.js';
+
+/**
+ * Live player state for React components (see src/vanilla/player.js).
+ *
+ * Pass a selector to re-render only when that part changes:
+ *   const track = usePlayer((s) => s.track);
+ *   const { playing, currentTime } = usePlayer();
+ *
+ * @param {(state: Object) => any} [selector]
+ */
+export function usePlayer(selector = (state) => state) {
+  return React.useSyncExternalStore(subscribe, () => selector(getState()));
+}
@@ -2,16 +2,84 @@
  * app.js — Core logic for The Healing Mic podcast app.
  *
  * Responsibilities:
- * - Fetch show previews and show details from the Podcast API.
+ * - Fetch show previews and show details from the active data source,
+ *   merged with any subscribed RSS/Atom feeds.
  * - Manage theme (light/dark) with localStorage.
  * - Handle favourites (episodes & shows) with localStorage persistence.
  * - Track listening progress and finished episodes.
  * - Mount a global audio player that works across all pages.
+ * - Keep a persistent "Up Next" play queue with auto-advance.
+ * - Sleep timer that fades out and pauses the player.
+ * - Publish metadata + controls to the Media Session API (OS/lock screen).
+ * - Show episode chapters on the progress bar and in episode rows.
+ * - Open synchronised transcripts from episode rows and the footer.
+ * - Save timestamped bookmarks with notes; list them per episode and
+ *   on the Bookmarks page.
+ * - Drive the public player API (player.js) from the footer <audio>.
+ * - Record play sessions and show them on the History page.
+ * - Coordinate tabs: one plays at a time, storage changes show up live.
  * - Render the Home, Show, and Favourites views.
  *
- * Live data: https://podcast-api.netlify.app
+ * Data comes from the active data source (see datasource.js) —
+ * by default the live API at https://podcast-api.netlify.app
  */
-const API_BASE = "https://podcast-api.netlify.app";
+import { getDataSource } from "./datasource.js";
+import {
+  feedPreviews,
+  fetchFeedShow,
+  findFeed,
+  isFeedId,
+  subscribeFeed,
+  unsubscribeFeed,
+} from "./feeds.js";
+import { buildOpml, matchOpmlEntries, parseOpml } from "./opml.js";
+import { absoluteUrl, appBaseUrl, navigate } from "../router.js";
+import * as player from "./player.js";
+import { recommendShows } from "./recommend.js";
+import { cachedJson } from "./offline.js";
+import {
+  INBOX_EVENT,
+  INBOX_KEY,
+  checkForNewEpisodes,
+  inboxCount,
+  loadInbox,
+  markAllSeen,
+  markEpisodeSeen,
+  markShowSeen,
+  newEpisodeCount,
+  notifyNewEpisodes,
+  trackShow,
+} from "./inbox.js";
+import {
+  DOWNLOADS_EVENT,
+  DOWNLOADS_KEY,
+  cancelDownload,
+  deleteDownload,
+  deleteDownloads,
+  downloadEpisode,
+  downloadState,
+  downloadsSupported,
+  isDownloaded,
+  listDownloads,
+  localAudioUrl,
+  storageUsage,
+} from "./downloads.js";
+import { escapeHtml } from "./html.js";
+import { fmtClock } from "./format.js";
+import {
+  canProbeAudio,
+  chapterIndexAt,
+  loadChapters,
+  loadChaptersFromUrl,
+  parseChaptersFile,
+  saveChapters,
+} from "./chapters.js";
+import {
+  openTranscriptPanel,
+  syncTranscript,
+  toggleTranscriptPanel,
+} from "./transcripts.js";
+
 const GENRES = {
   1: "Personal Growth",
   2: "Investigative Journalism",
@@ -28,31 +96,62 @@ const GENRES = {
    BASIC UTILS
 ========================= */
 
-async function getJSON(url, signal) {
-  const res = await fetch(url, { signal });
-  if (!res.ok) throw new Error(`Request failed (${res.status})`);
-  return res.json();
-}
-
 /**
  * Fetch a list of podcast previews (used by the Home page).
+ * Subscribed RSS/Atom feeds are merged in alongside catalogue shows.
+ * Offline, the last fetched previews are used (see offline.js).
  *
  * @param {AbortSignal} [signal]
  * @returns {Promise<Array<Object>>}
  */
 export async function fetchPreviews(signal) {
-  return getJSON(`${API_BASE}/`, signal);
+  const source = getDataSource();
+  const previews = await cachedJson(`${source.name}:previews`, () =>
+    source.listPreviews(signal)
+  );
+  return [...previews, ...feedPreviews()];
 }
 
+/* Shows fetched this session, keyed by id (used by search) */
+const showCache = new Map();
+
 /**
  * Fetch full details for a single show, including seasons and episodes.
+ * Offline, the last fetched copy of the show is used (see offline.js).
  *
  * @param {string|number} id
  * @param {AbortSignal} [signal]
  * @returns {Promise<Object>}
  */
 export async function fetchShowById(id, signal) {
-  return getJSON(`${API_BASE}/id/${id}`, signal);
+  const source = getDataSource();
+  const show = isFeedId(id)
+    ? await fetchFeedShow(String(id), signal)
+    : await cachedJson(`${source.name}:show:${id}`, () =>
+        source.getShow(id, signal)
+      );
+  if (show && show.id != null) showCache.set(String(show.id), show);
+  return show;
+}
+
+/**
+ * Fetch a genre with the ids of the shows in it.
+ *
+ * @param {string|number} id
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<Object>}
+ */
+export async function fetchGenre(id, signal) {
+  return getDataSource().getGenre(id, signal);
+}
+
+/**
+ * Return every full show loaded so far in this session.
+ *
+ * @returns {Array<Object>}
+ */
+export function getLoadedShows() {
+  return [...showCache.values()];
 }
 
 function $(sel, root = document) {
@@ -78,7 +177,26 @@ function truncate(s = "", n = 120) {
   return s.length > n ? s.slice(0, n - 1) + "…" : s;
 }
 
-function genreNames(ids = []) {
+/**
+ * Hash route of an episode, optionally at a time:
+ * "#/show/:id/season/:s/episode/:e?t=123".
+ *
+ * @param {string} trackId "showId:season:episode"
+ * @param {number} [t] seconds
+ * @returns {string}
+ */
+export function episodeHash(trackId, t) {
+  const [showId, season, episode] = String(trackId).split(":");
+  const at = t > 0 ? `?t=${Math.floor(t)}` : "";
+  return `#/show/${showId}/season/${season}/episode/${episode}${at}`;
+}
+
+/** Absolute, shareable URL of an episode (see episodeHash). */
+export function episodeLink(trackId, t) {
+  return absoluteUrl(episodeHash(trackId, t));
+}
+
+export function genreNames(ids = []) {
   return ids.map((id) => GENRES[id] ?? `Genre ${id}`);
 }
 /* =========================
@@ -87,6 +205,13 @@ function genreNames(ids = []) {
 
 const THEME_KEY = "earbuzz:theme";
 
+/* Apply a theme to the document and toggle button (without persisting) */
+function applyTheme(mode) {
+  document.documentElement.classList.toggle("dark", mode === "dark");
+  const btn = $("#themeToggle");
+  if (btn) btn.textContent = mode === "dark" ? "☀️ Light" : "🌙 Dark";
+}
+
 /**
  * Initialise the current theme (light/dark) and attach the toggle button handler.
  * Persists the theme in localStorage.
@@ -96,9 +221,8 @@ export function initTheme() {
   const saved = localStorage.getItem(THEME_KEY) || "light";
 
   function setTheme(mode) {
-    document.documentElement.classList.toggle("dark", mode === "dark");
+    applyTheme(mode);
     localStorage.setItem(THEME_KEY, mode);
-    if (btn) btn.textContent = mode === "dark" ? "☀️ Light" : "🌙 Dark";
   }
 
   // No button (page not fully mounted)
@@ -173,6 +297,12 @@ export function toggleFav(item) {
     list.splice(i, 1);
   } else {
     list.push({ ...item, addedAt: item.addedAt ?? Date.now() });
+    // New show favourite: remember its episodes to spot new ones later
+    if (item.id.startsWith("show:")) {
+      fetchShowById(item.showId)
+        .then(trackShow)
+        .catch((err) => console.warn("Could not track new episodes", err));
+    }
   }
   writeFavs(list);
   return list;
@@ -189,7 +319,18 @@ export function clearFavs() {
 const LAST_TRACK_KEY = "earbuzz:lastTrack:v1";
 const LAST_TRACK_STATE_KEY = "earbuzz:lastTrackState:v1"; // "playing" | "paused"
 const PROG_KEY = "earbuzz:progress:v1";
-/** { [episodeId]: { t:number, finished?:boolean, duration?:number } } */
+/**
+ * { [episodeId]: {
+ *   t:number, finished?:boolean, duration?:number,
+ *   updatedAt?:number,                          // ms, last time it was played
+ *   track?:{ id, title, subtitle, src, cover? }  // for the Continue Listening shelf
+ * } }
+ */
+/* Episodes played for less than this are not offered on the shelf */
+const CONTINUE_MIN_SECONDS = 10;
+/* While playing, write the position at most this often (other tabs react
+   to every write) */
+const PROGRESS_SAVE_MS = 5000;
 
 function readProg() {
   try {
@@ -205,17 +346,62 @@ function writeProg(map) {
   localStorage.setItem(PROG_KEY, JSON.stringify(map));
 }
 
-export function saveProgress(id, t, finished, duration) {
+/**
+ * Save the playback position of an episode.
+ *
+ * @param {string} id episode id
+ * @param {number} t seconds
+ * @param {boolean} [finished]
+ * @param {number} [duration] seconds
+ * @param {Object} [track] { id, title, subtitle, src, cover? } kept so the
+ *   episode can be resumed without fetching its show
+ */
+export function saveProgress(id, t, finished, duration, track) {
   const map = readProg();
   const prev = map[id] || {};
   map[id] = {
     t,
     finished: finished || prev.finished,
     duration: typeof duration === "number" ? duration : prev.duration ?? 0,
+    updatedAt: Date.now(),
+    track: track
+      ? {
+          id: track.id,
+          title: track.title,
+          subtitle: track.subtitle || "",
+          src: track.src,
+          cover: track.cover || "",
+        }
+      : prev.track,
   };
   writeProg(map);
 }
 
+/*
+ * The id of the only episode whose entry changed between two serialised
+ * progress maps without being added, removed or (un)finished — i.e. a tab
+ * playing it moved its position. null for any other change.
+ */
+function positionOnlyChange(oldRaw, newRaw) {
+  let before;
+  let after;
+  try {
+    before = JSON.parse(oldRaw || "{}") || {};
+    after = JSON.parse(newRaw || "{}") || {};
+  } catch {
+    return null;
+  }
+  let moved = null;
+  for (const id of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    const a = before[id];
+    const b = after[id];
+    if (JSON.stringify(a) === JSON.stringify(b)) continue;
+    if (moved || !a || !b || !!a.finished !== !!b.finished) return null;
+    moved = id;
+  }
+  return moved;
+}
+
 export function loadProgress(id) {
   const entry = readProg()[id];
   return entry?.t ?? 0;
@@ -228,15 +414,74 @@ export function markFinished(id, duration) {
     t: prev.t ?? (typeof duration === "number" ? duration : 0),
     finished: true,
     duration: typeof duration === "number" ? duration : prev.duration ?? 0,
+    updatedAt: Date.now(),
+    track: prev.track,
+  };
+  writeProg(map);
+}
+
+/**
+ * Clear the finished flag of an episode. One that was finished at its very
+ * end starts over; otherwise the saved position is kept.
+ */
+export function markUnplayed(id) {
+  const map = readProg();
+  const prev = map[id];
+  if (!prev) return;
+  const atEnd = prev.duration > 0 && prev.t >= prev.duration - 1;
+  map[id] = {
+    ...prev,
+    t: atEnd ? 0 : prev.t,
+    finished: false,
+    updatedAt: Date.now(),
   };
   writeProg(map);
 }
 
+/** Forget the saved position and finished flag of one episode. */
+export function resetProgress(id) {
+  const map = readProg();
+  delete map[id];
+  writeProg(map);
+}
+
 export function getProgress(id) {
   const map = readProg();
   return map[id] || null;
 }
 
+/** The whole progress map (read-only copy), e.g. for stats. */
+export function loadProgressMap() {
+  return readProg();
+}
+
+/**
+ * Unfinished episodes to resume, most recently played first.
+ * Entries saved before track metadata was stored borrow it from the
+ * listening history; entries still without it are skipped.
+ *
+ * @param {number} [limit]
+ * @returns {Array<{ id, t, duration, updatedAt, track }>}
+ */
+export function loadContinueListening(limit = 12) {
+  const lastSession = new Map(readHistory().map((s) => [s.trackId, s]));
+  return Object.entries(readProg())
+    .filter(([, p]) => p && !p.finished && p.t >= CONTINUE_MIN_SECONDS)
+    .map(([id, p]) => {
+      const session = lastSession.get(id);
+      return {
+        id,
+        t: p.t,
+        duration: p.duration || 0,
+        updatedAt: p.updatedAt || session?.endedAt || 0,
+        track: p.track || session?.track,
+      };
+    })
+    .filter((entry) => entry.track?.src)
+    .sort((a, b) => b.updatedAt - a.updatedAt)
+    .slice(0, limit);
+}
+
 export function clearAllProgress() {
   localStorage.removeItem(PROG_KEY);
   // also clear last track so everything is fresh
@@ -264,264 +509,1720 @@ function renderProgressPill(id) {
   return `<span class="status-pill in-progress">${label}</span>`;
 }
 /* =========================
-   HEART BUTTON (HTML)
-========================= */
-
-function renderHeartBtn(active) {
-  return `
-    <button
-      class="heart ${active ? "on" : ""}"
-      aria-pressed="${active}"
-      aria-label="${active ? "Unfavourite" : "Favourite"}"
-      type="button"
-    >
-      <svg viewBox="0 0 24 24">
-        <path d="M12 21s-6-4.35-9-7.5C1 12 1 8.5 4 7s5 1 8 4c3-3 5-4.5 8-3s3 5 1 6.5C18 16.65 12 21 12 21z"/>
-      </svg>
-    </button>
-  `;
-}
-/* =========================
-   GLOBAL AUDIO PLAYER
+   LISTENING HISTORY
 ========================= */
 
+const HISTORY_KEY = "earbuzz:history:v1";
 /**
- * Mount the global audio player.
- * Restores last played track, listens for .play action buttons,
- * and syncs progress + state in localStorage/sessionStorage.
+ * PlaySession {
+ *  id: string;
+ *  trackId: string;       // "showId:season:episode"
+ *  track: { id, title, subtitle, src, cover? }
+ *  startedAt: number;     // ms timestamps
+ *  endedAt: number;
+ *  listened: number;      // seconds of audio actually played
+ * }
+ * Newest last; capped at HISTORY_LIMIT sessions.
  */
-export function mountPlayer() {
-  // Prevent multiple initialisations (StrictMode + per-route calls)
-  if (window.__earbuzzPlayerMounted) {
-    return;
-  }
-  window.__earbuzzPlayerMounted = true;
+const HISTORY_LIMIT = 2000;
+/* Shorter sessions (a quick skim or a mis-click) are not recorded */
+const HISTORY_MIN_SECONDS = 5;
+/* Resuming the same episode within this gap continues the session */
+const HISTORY_RESUME_GAP_MS = 5 * 60 * 1000;
 
-  const audio = $("#audio");
-  const playBtn = $("#playToggle");
-  const back10 = $("#back10");
-  const fwd10 = $("#fwd10");
-  const range = $("#progress");
-  const nowTitle = $("#nowTitle");
-  const nowSub = $("#nowSub");
+/* Re-render callback of the mounted History page (if any) */
+let historyRefresh = null;
 
-  if (!audio || !playBtn || !range || !nowTitle || !nowSub) {
-    console.warn("mountPlayer: missing core player elements");
-    return;
+function readHistory() {
+  try {
+    const raw = localStorage.getItem(HISTORY_KEY);
+    const arr = raw ? JSON.parse(raw) : [];
+    return Array.isArray(arr) ? arr : [];
+  } catch {
+    return [];
   }
+}
 
-  let current = null; // { id, title, subtitle, src }
-
-  // Restore last track + state if we have one
-  try {
-    const rawTrack =
-      sessionStorage.getItem(LAST_TRACK_KEY) ||
-      localStorage.getItem(LAST_TRACK_KEY);
-    const rawState = localStorage.getItem(LAST_TRACK_STATE_KEY);
+function writeHistory(list) {
+  localStorage.setItem(HISTORY_KEY, JSON.stringify(list.slice(-HISTORY_LIMIT)));
+  if (historyRefresh && $("#historyContainer")) historyRefresh();
+}
 
-    const last = rawTrack ? JSON.parse(rawTrack) : null;
-    const lastState = rawState === "playing" ? "playing" : "paused";
+export function loadHistory() {
+  return readHistory();
+}
 
-    if (last && last.id && last.src) {
-      current = last;
-      audio.src = last.src;
+export function removeHistoryEntry(id) {
+  writeHistory(readHistory().filter((s) => s.id !== id));
+}
 
-      const t = loadProgress(last.id);
-      if (!isNaN(t) && t > 0) audio.currentTime = t;
+/**
+ * Remove sessions that started within [from, to] (ms timestamps).
+ * Without arguments every session is removed.
+ *
+ * @param {number} [from]
+ * @param {number} [to]
+ */
+export function clearHistory(from = -Infinity, to = Infinity) {
+  writeHistory(
+    readHistory().filter((s) => s.startedAt < from || s.startedAt > to)
+  );
+}
 
-      nowTitle.textContent = last.title || "Now Playing";
-      nowSub.textContent = last.subtitle || "";
+/* Insert or update a session record */
+function saveSession(session) {
+  const list = readHistory();
+  const i = list.findIndex((s) => s.id === session.id);
+  if (i >= 0) list[i] = session;
+  else list.push(session);
+  writeHistory(list);
+}
 
-      // Auto-resume if user was playing before navigation
-      if (lastState === "playing") {
-        audio
-          .play()
-          .then(() => {
-            playBtn.textContent = "⏸";
-          })
-          .catch(() => {
-            // If browser blocks autoplay, just show paused state
-            playBtn.textContent = "▶️";
-          });
-      } else {
-        playBtn.textContent = "▶️";
-      }
-    }
-  } catch {
-    // ignore
+/**
+ * Record play sessions from player events. Seconds listened are summed from
+ * small forward steps of currentTime, so seeking does not count.
+ */
+function recordListening() {
+  let session = null;
+  let lastTime = 0;
+  let lastWrite = 0;
+
+  function flush() {
+    if (!session) return;
+    session.endedAt = Date.now();
+    if (session.listened >= HISTORY_MIN_SECONDS) saveSession({ ...session });
+    lastWrite = Date.now();
   }
 
-  function setLastState(state) {
-    localStorage.setItem(LAST_TRACK_STATE_KEY, state);
+  function end() {
+    flush();
+    session = null;
   }
 
-  // Main play / pause toggle in footer
-  playBtn.addEventListener("click", async () => {
-    if (!audio.src) return;
-    if (audio.paused) {
-      try {
-        await audio.play();
-        playBtn.textContent = "⏸";
-        setLastState("playing");
-      } catch (err) {
-        console.error("Footer playToggle error", err);
-      }
-    } else {
-      audio.pause();
-      playBtn.textContent = "▶️";
-      setLastState("paused");
-    }
-  });
-
-  back10?.addEventListener("click", () => {
-    audio.currentTime = Math.max(0, audio.currentTime - 10);
-  });
-
-  fwd10?.addEventListener("click", () => {
-    audio.currentTime = Math.min(
-      audio.duration || audio.currentTime + 10,
-      audio.currentTime + 10
-    );
-  });
-
-  range.addEventListener("input", (e) => {
-    const v = Number(e.target.value);
-    if (audio.duration) {
-      audio.currentTime = (v / 100) * audio.duration;
-    }
-  });
-
-  audio.addEventListener("timeupdate", () => {
-    if (!audio.duration) return;
-    const pct = (audio.currentTime / audio.duration) * 100;
-    range.value = String(Math.max(0, Math.min(100, Math.floor(pct))));
-    if (current?.id) {
-      saveProgress(current.id, audio.currentTime, false, audio.duration || 0);
-    }
-  });
-
-  audio.addEventListener("ended", () => {
-    if (current?.id) {
-      markFinished(current.id, audio.duration || 0);
+  function start({ track, currentTime }) {
+    if (!track?.id) return;
+    lastTime = currentTime;
+    if (session?.trackId === track.id) return;
+    end();
+
+    // Pick up the previous session when resuming shortly after a pause
+    const prev = readHistory().at(-1);
+    if (
+      prev?.trackId === track.id &&
+      Date.now() - prev.endedAt < HISTORY_RESUME_GAP_MS
+    ) {
+      session = { ...prev };
+      return;
     }
-    playBtn.textContent = "▶️";
-    setLastState("paused");
-  });
+    session = {
+      id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      trackId: track.id,
+      track: {
+        id: track.id,
+        title: track.title,
+        subtitle: track.subtitle || "",
+        src: track.src,
+        cover: track.cover || "",
+      },
+      startedAt: Date.now(),
+      endedAt: Date.now(),
+      listened: 0,
+    };
+  }
 
-  // Warn if user reloads while audio is playing
-  window.addEventListener("beforeunload", (e) => {
-    if (!audio.paused) {
-      setLastState("playing");
-      const msg =
-        "Audio is currently playing. Are you sure you want to leave this page?";
-      e.preventDefault();
-      e.returnValue = msg;
-      return msg;
-    } else {
-      setLastState("paused");
-    }
+  player.on("play", start);
+  player.on("pause", end);
+  player.on("ended", end);
+  player.on("trackchange", end);
+  player.on("timeupdate", ({ currentTime, playing }) => {
+    if (!session || !playing) return;
+    const step = currentTime - lastTime;
+    lastTime = currentTime;
+    if (step > 0 && step < 5) session.listened += step;
+    // Save now and then so closing the tab loses little
+    if (Date.now() - lastWrite > 15000) flush();
   });
+  window.addEventListener("pagehide", flush);
+}
 
-  async function setTrack(track) {
-    if (!track.src) {
-      console.warn("setTrack called without audio src", track);
-      return;
-    }
+/* =========================
+   PLAYBACK SPEED
+========================= */
 
-    current = { ...track };
+const SPEED_KEY = "earbuzz:speed:v1";
+/** { default: number, shows: { [showId]: number } } */
 
-    audio.src = current.src;
-    nowTitle.textContent = current.title || "Now Playing";
-    nowSub.textContent = current.subtitle || "";
-    sessionStorage.setItem(LAST_TRACK_KEY, JSON.stringify(current));
-    localStorage.setItem(LAST_TRACK_KEY, JSON.stringify(current));
+export const SPEED_OPTIONS = [0.5, 0.75, 1, 1.25, 1.5, 1.75, 2, 2.5, 3];
+const MIN_RATE = 0.5;
+const MAX_RATE = 3;
 
-    const t = loadProgress(current.id);
-    if (!isNaN(t) && t > 0) audio.currentTime = t;
+function clampRate(rate) {
+  const r = Number(rate);
+  if (!isFinite(r) || r <= 0) return 1;
+  return Math.min(MAX_RATE, Math.max(MIN_RATE, r));
+}
 
-    try {
-      await audio.play();
-      playBtn.textContent = "⏸";
-      setLastState("playing");
-    } catch (err) {
-      console.error("Audio play error", err);
-      playBtn.textContent = "▶️";
-      setLastState("paused");
-    }
+function readSpeed() {
+  try {
+    const raw = localStorage.getItem(SPEED_KEY);
+    const obj = raw ? JSON.parse(raw) : {};
+    return {
+      default: clampRate(obj?.default ?? 1),
+      shows: obj?.shows && typeof obj.shows === "object" ? obj.shows : {},
+    };
+  } catch {
+    return { default: 1, shows: {} };
   }
+}
 
-  // Make it visible globally for other module code
-  window.__setTrack = setTrack;
-
-  // Delegated click handler for ANY `.action.play` button
-  document.addEventListener("click", async (event) => {
-    const btn = event.target.closest(".action.play");
-    if (!btn) return;
-
-    const audioUrl = btn.dataset.audioUrl;
-    const showId = btn.dataset.showId;
-
-    try {
-      // CASE 1: Episode favourite – we already have an audio URL
-      if (audioUrl) {
-        const id =
-          btn.dataset.episodeId ||
-          btn.dataset.id ||
-          `temp:${Date.now().toString(36)}`;
-
-        const title = btn.dataset.title || "Now Playing";
-        const subtitle = btn.dataset.subtitle || "";
+function writeSpeed(speed) {
+  localStorage.setItem(SPEED_KEY, JSON.stringify(speed));
+}
 
-        await setTrack({ id, title, subtitle, src: audioUrl });
-        return;
-      }
+/** Show id encoded in a "showId:season:episode" track id ("" if none). */
+export function showIdFromTrackId(trackId = "") {
+  const [showId] = String(trackId).split(":");
+  return showId && showId !== "temp" ? showId : "";
+}
 
-      // CASE 2: Show favourite – fetch first episode and play it
-      if (showId) {
-        const show = await fetchShowById(showId);
-        const firstSeason = show.seasons?.[0];
-        const firstEp = firstSeason?.episodes?.[0];
+/** Playback rate for a track: its show's saved rate, else the default. */
+export function getRateFor(trackId) {
+  const speed = readSpeed();
+  const showId = showIdFromTrackId(trackId);
+  return clampRate(speed.shows[showId] ?? speed.default);
+}
 
-        if (!firstSeason || !firstEp) {
-          console.warn("No episodes found for show", showId);
-          return;
-        }
+/** Remember a playback rate for the show of the given track. */
+export function saveRateFor(trackId, rate) {
+  const showId = showIdFromTrackId(trackId);
+  if (!showId) return;
+  const speed = readSpeed();
+  speed.shows[showId] = clampRate(rate);
+  writeSpeed(speed);
+}
 
-        const audio = firstEp.file || firstEp.audioUrl || "";
+export function getDefaultRate() {
+  return readSpeed().default;
+}
 
-        if (!audio) {
-          console.warn("No audio URL for first episode of show", showId);
-          return;
-        }
+export function setDefaultRate(rate) {
+  const speed = readSpeed();
+  speed.default = clampRate(rate);
+  writeSpeed(speed);
+}
 
-        const id = `${show.id}:${firstSeason.season}:${firstEp.episode}`;
-        const title =
-          `S${firstSeason.season}E${firstEp.episode} — ` +
-          (firstEp.title || show.title);
-        const subtitle = show.title;
+/* Fill a <select> with the speed options, keeping a custom value if needed */
+function fillSpeedSelect(select, rate) {
+  const options = SPEED_OPTIONS.includes(rate)
+    ? SPEED_OPTIONS
+    : [...SPEED_OPTIONS, rate].sort((a, b) => a - b);
+  select.innerHTML = options
+    .map((r) => `<option value="${r}">${r}×</option>`)
+    .join("");
+  select.value = String(rate);
+}
 
-        await setTrack({ id, title, subtitle, src: audio });
-      }
-    } catch (err) {
-      console.error("Error handling Play button", err);
-    }
-  });
+/**
+ * Wire the default playback speed control on the Settings page.
+ */
+export function renderPlaybackSettings() {
+  const select = $("#defaultSpeed");
+  if (!select) return;
+  fillSpeedSelect(select, getDefaultRate());
+  select.addEventListener("change", () => setDefaultRate(select.value));
 }
 
 /* =========================
-   HOME PAGE
+   PLAY QUEUE
 ========================= */
 
+const QUEUE_KEY = "earbuzz:queue:v1";
 /**
- * Render the Home page: carousel, grid, filters, sorting.
+ * Array<{ id, title, subtitle, src, startAt? }> — the "Up Next" list, head
+ * plays first. `startAt` (seconds) overrides the saved progress when the
+ * item is played, e.g. 0 for "play season from the start".
  */
-export async function renderHome() {
-  const carousel = $("#carousel");
-  const grid = $("#grid");
+
+function readQueue() {
+  try {
+    const raw = localStorage.getItem(QUEUE_KEY);
+    const arr = raw ? JSON.parse(raw) : [];
+    return Array.isArray(arr) ? arr.filter((t) => t && t.id && t.src) : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeQueue(list) {
+  localStorage.setItem(QUEUE_KEY, JSON.stringify(list));
+  renderQueuePanel();
+}
+
+export function loadQueue() {
+  return readQueue();
+}
+
+/**
+ * Append a track to the end of the queue.
+ * A track that is already queued is moved rather than duplicated.
+ */
+export function enqueue(track) {
+  const list = readQueue().filter((t) => t.id !== track.id);
+  list.push(track);
+  writeQueue(list);
+  return list;
+}
+
+/** Insert a track at the head of the queue so it plays after the current one. */
+export function enqueueNext(track) {
+  const list = readQueue().filter((t) => t.id !== track.id);
+  list.unshift(track);
+  writeQueue(list);
+  return list;
+}
+
+/** Remove and return the head of the queue (or null when empty). */
+export function dequeue() {
+  const list = readQueue();
+  const next = list.shift() || null;
+  writeQueue(list);
+  return next;
+}
+
+export function removeFromQueue(id) {
+  const list = readQueue().filter((t) => t.id !== id);
+  writeQueue(list);
+  return list;
+}
+
+/** Move the queued item at index `from` to index `to`. */
+export function moveInQueue(from, to) {
+  const list = readQueue();
+  if (from < 0 || from >= list.length) return list;
+  const [item] = list.splice(from, 1);
+  list.splice(Math.max(0, Math.min(list.length, to)), 0, item);
+  writeQueue(list);
+  return list;
+}
+
+export function clearQueue() {
+  writeQueue([]);
+}
+
+/* Helper to render the queue action buttons for an episode row */
+function renderQueueBtns(dataAttrs) {
+  return `
+    <button class="action queue-next" type="button" ${dataAttrs}>
+      Play next
+    </button>
+    <button class="action queue-add" type="button" ${dataAttrs}>
+      Add to queue
+    </button>
+  `;
+}
+
+/* =========================
+   DOWNLOADS
+========================= */
+
+/* Re-render callback of the mounted Downloads page (if any) */
+let downloadsRefresh = null;
+
+/* Helper to render the download button for an episode row */
+function renderDownloadBtn(dataAttrs) {
+  if (!downloadsSupported()) return "";
+  return `
+    <button class="action download" type="button" ${dataAttrs}>
+      Download
+    </button>
+  `;
+}
+
+function fmtBytes(bytes) {
+  if (!bytes) return "0 MB";
+  const mb = bytes / (1024 * 1024);
+  return mb >= 1024 ? `${(mb / 1024).toFixed(1)} GB` : `${mb.toFixed(1)} MB`;
+}
+
+/* Label download buttons with each episode's state / progress */
+function refreshDownloadButtons(trackId) {
+  const sel = trackId
+    ? `.action.download[data-episode-id="${CSS.escape(trackId)}"]`
+    : ".action.download[data-episode-id]";
+  document.querySelectorAll(sel).forEach((btn) => {
+    const { state, loaded, total } = downloadState(btn.dataset.episodeId);
+    btn.dataset.state = state;
+    if (state === "downloading") {
+      btn.textContent = total
+        ? `${Math.floor((loaded / total) * 100)}% · Cancel`
+        : `${fmtBytes(loaded)} · Cancel`;
+      btn.title = "Cancel download";
+    } else if (state === "done") {
+      btn.textContent = "Downloaded ✓";
+      btn.title = "Delete download";
+    } else {
+      btn.textContent = "Download";
+      btn.title = "Download for offline listening";
+    }
+  });
+}
+
+/* Build a track object from the data-* attributes of a Play/queue button */
+function trackFromButton(btn) {
+  const src = btn.dataset.audioUrl;
+  if (!src) return null;
+  return {
+    id:
+      btn.dataset.episodeId ||
+      btn.dataset.id ||
+      `temp:${Date.now().toString(36)}`,
+    title: btn.dataset.title || "Now Playing",
+    subtitle: btn.dataset.subtitle || "",
+    cover: btn.dataset.cover || "",
+    chaptersUrl: btn.dataset.chaptersUrl || "",
+    transcriptUrl: btn.dataset.transcriptUrl || "",
+    transcriptType: btn.dataset.transcriptType || "",
+    src,
+  };
+}
+
+/**
+ * Render the "Up Next" panel in the player footer (if it is mounted).
+ * Called whenever the queue changes.
+ */
+function renderQueuePanel() {
+  const listEl = $("#queueList");
+  const toggle = $("#queueToggle");
+  const queue = readQueue();
+
+  if (toggle) toggle.textContent = `Up Next (${queue.length})`;
+  if (!listEl) return;
+
+  listEl.innerHTML = "";
+  if (queue.length === 0) {
+    listEl.innerHTML = `<li class="muted">Queue is empty. Use "Add to queue" on any episode.</li>`;
+    return;
+  }
+
+  queue.forEach((track, i) => {
+    const li = document.createElement("li");
+    li.className = "queue-item";
+    li.draggable = true;
+    li.dataset.index = String(i);
+    li.innerHTML = `
+      <button class="queue-play" type="button">
+        <span class="title"></span>
+        <span class="subtitle"></span>
+      </button>
+      <div class="queue-controls">
+        <button class="btn queue-up" type="button" aria-label="Move up" ${
+          i === 0 ? "disabled" : ""
+        }>↑</button>
+        <button class="btn queue-down" type="button" aria-label="Move down" ${
+          i === queue.length - 1 ? "disabled" : ""
+        }>↓</button>
+        <button class="btn queue-remove" type="button" aria-label="Remove from queue">✕</button>
+      </div>
+    `;
+    li.querySelector(".title").textContent = track.title;
+    li.querySelector(".subtitle").textContent = track.subtitle || "";
+    listEl.appendChild(li);
+  });
+}
+
+/* =========================
+   HEART BUTTON (HTML)
+========================= */
+
+function renderHeartBtn(active, favId = "") {
+  return `
+    <button
+      class="heart ${active ? "on" : ""}"
+      data-fav-id="${favId}"
+      aria-pressed="${active}"
+      aria-label="${active ? "Unfavourite" : "Favourite"}"
+      type="button"
+    >
+      <svg viewBox="0 0 24 24">
+        <path d="M12 21s-6-4.35-9-7.5C1 12 1 8.5 4 7s5 1 8 4c3-3 5-4.5 8-3s3 5 1 6.5C18 16.65 12 21 12 21z"/>
+      </svg>
+    </button>
+  `;
+}
+/* =========================
+   NOW PLAYING (EPISODE ROWS)
+========================= */
+
+/* Mark the row of the loaded episode (and whether it is playing) */
+function markPlayingRows() {
+  const { track, playing } = player.getState();
+  document.querySelectorAll(".episode-row").forEach((row) => {
+    const id = row.querySelector(".action.play[data-episode-id]")?.dataset
+      .episodeId;
+    const isCurrent = !!track && id === track.id;
+    row.classList.toggle("is-current", isCurrent);
+    row.classList.toggle("is-playing", isCurrent && playing);
+  });
+}
+
+/* =========================
+   NEW EPISODES
+========================= */
+
+let inboxChecked = false;
+
+/* Re-render callback of the mounted Inbox page (if any) */
+let inboxRefresh = null;
+
+/**
+ * Check favourited shows for new episodes (once per app start) and
+ * notify about them when notifications are on.
+ */
+export async function checkNewEpisodes() {
+  if (inboxChecked) return;
+  inboxChecked = true;
+  try {
+    const found = await checkForNewEpisodes({
+      favs: readFavs(),
+      previews: await fetchPreviews(),
+      fetchShow: fetchShowById,
+    });
+    notifyNewEpisodes(found, () => navigate("#/inbox"));
+  } catch (err) {
+    console.warn("Could not check for new episodes", err);
+  }
+}
+
+/* Fill "New" badge slots ([data-new-for]) and the inbox count in the nav */
+function refreshNewBadges() {
+  document.querySelectorAll("[data-new-for]").forEach((slot) => {
+    const count = newEpisodeCount(slot.dataset.newFor);
+    slot.innerHTML = count
+      ? `<span class="pill pill-new" title="${count} new episode${
+          count === 1 ? "" : "s"
+        }">New · ${count}</span>`
+      : "";
+  });
+  const navCount = $("#inboxCount");
+  if (navCount) {
+    const count = inboxCount();
+    navCount.textContent = count ? String(count) : "";
+    navCount.hidden = count === 0;
+  }
+}
+
+/* =========================
+   BOOKMARKS
+========================= */
+
+const BOOKMARKS_KEY = "earbuzz:bookmarks:v1";
+/**
+ * Bookmark {
+ *  id: string;
+ *  trackId: string;     // "showId:season:episode"
+ *  t: number;           // seconds into the episode
+ *  note: string;
+ *  createdAt: number;
+ *  track: { id, title, subtitle, src, cover? }  // to play it from anywhere
+ * }
+ */
+
+/* Re-render callback of the mounted Bookmarks page (if any) */
+let bookmarksRefresh = null;
+
+function readBookmarks() {
+  try {
+    const raw = localStorage.getItem(BOOKMARKS_KEY);
+    const arr = raw ? JSON.parse(raw) : [];
+    return Array.isArray(arr) ? arr : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeBookmarks(list) {
+  localStorage.setItem(BOOKMARKS_KEY, JSON.stringify(list));
+  refreshBookmarkLists();
+}
+
+export function loadBookmarks() {
+  return readBookmarks();
+}
+
+/**
+ * Bookmarks of one episode, in playback order.
+ *
+ * @param {string} trackId
+ */
+export function bookmarksFor(trackId) {
+  return readBookmarks()
+    .filter((b) => b.trackId === trackId)
+    .sort((a, b) => a.t - b.t);
+}
+
+/**
+ * Save a bookmark at `t` seconds into `track`.
+ *
+ * @param {Object} track { id, title, subtitle, src, cover? }
+ * @param {number} t
+ * @param {string} [note]
+ * @returns {Object} the new bookmark
+ */
+export function addBookmark(track, t, note = "") {
+  const bookmark = {
+    id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    trackId: track.id,
+    t: Math.max(0, Math.floor(t || 0)),
+    note: String(note).trim(),
+    createdAt: Date.now(),
+    track: {
+      id: track.id,
+      title: track.title,
+      subtitle: track.subtitle || "",
+      src: track.src,
+      cover: track.cover || "",
+    },
+  };
+  writeBookmarks([...readBookmarks(), bookmark]);
+  return bookmark;
+}
+
+export function updateBookmarkNote(id, note) {
+  writeBookmarks(
+    readBookmarks().map((b) =>
+      b.id === id ? { ...b, note: String(note).trim() } : b
+    )
+  );
+}
+
+export function removeBookmark(id) {
+  writeBookmarks(readBookmarks().filter((b) => b.id !== id));
+}
+
+/* One bookmark as a list item: jump button, note, edit + delete */
+function renderBookmarkItem(b, { showEpisode = false } = {}) {
+  const li = document.createElement("li");
+  li.className = "bookmark-item";
+  li.innerHTML = `
+    <button class="bookmark-jump" type="button" title="Play from here">
+      <span class="bookmark-time">${fmtClock(b.t)}</span>
+      <span class="bookmark-text">
+        ${showEpisode ? `<span class="ep-title"></span>` : ""}
+        <span class="bookmark-note"></span>
+      </span>
+    </button>
+    <button class="btn" type="button" data-edit>Edit note</button>
+    <button class="btn btn-danger" type="button" data-delete>Delete</button>
+  `;
+
+  // Titles and notes are user/feed text: set them as text, not HTML
+  if (showEpisode) li.querySelector(".ep-title").textContent = b.track.title;
+  const noteEl = li.querySelector(".bookmark-note");
+  noteEl.textContent = b.note || "No note";
+  noteEl.classList.toggle("muted", !b.note);
+
+  li.querySelector(".bookmark-jump").addEventListener("click", () => {
+    player.load(b.track, { startAt: b.t });
+  });
+  li.querySelector("[data-edit]").addEventListener("click", () => {
+    const note = prompt(`Note for ${fmtClock(b.t)}:`, b.note);
+    if (note !== null) updateBookmarkNote(b.id, note);
+  });
+  li.querySelector("[data-delete]").addEventListener("click", () => {
+    removeBookmark(b.id);
+  });
+  return li;
+}
+
+/* Fill an episode row's bookmark list (hidden while empty) */
+function renderEpisodeBookmarks(listEl) {
+  const items = bookmarksFor(listEl.dataset.bookmarksFor);
+  listEl.innerHTML = "";
+  listEl.hidden = items.length === 0;
+  items.forEach((b) => listEl.appendChild(renderBookmarkItem(b)));
+}
+
+/* Update every visible bookmark list after bookmarks changed */
+function refreshBookmarkLists() {
+  document
+    .querySelectorAll("[data-bookmarks-for]")
+    .forEach(renderEpisodeBookmarks);
+  if (bookmarksRefresh && $("#bookmarkContainer")) bookmarksRefresh();
+}
+
+/* =========================
+   CHAPTER LIST (EPISODE ROW)
+========================= */
+
+/**
+ * Render the chapter list for an episode into `panel`, with controls to
+ * load chapters from a JSON URL or an uploaded JSON/MP3 file.
+ * Clicking a chapter plays the episode from that point.
+ */
+async function renderChapterPanel(panel, track) {
+  panel.innerHTML = `
+    <div class="loading">
+      <div class="spinner"></div>
+      <p>Loading chapters…</p>
+    </div>
+  `;
+  const chapters = await loadChapters(track).catch(() => []);
+
+  panel.innerHTML = `
+    <ol class="chapter-list"></ol>
+    <form class="toolbar chapter-load">
+      <input type="url" name="url" placeholder="Chapters JSON URL" required />
+      <button class="btn" type="submit">Load URL</button>
+      <label class="btn">
+        Upload file
+        <input type="file" accept=".json,application/json,.mp3,audio/mpeg" hidden />
+      </label>
+      <span class="muted" role="status"></span>
+    </form>
+  `;
+
+  const ol = panel.querySelector(".chapter-list");
+  if (chapters.length === 0) {
+    ol.innerHTML = `<li class="muted">No chapters published for this episode.</li>`;
+  }
+  chapters.forEach((c) => {
+    const li = document.createElement("li");
+    li.innerHTML = `
+      <button class="chapter-jump" type="button">
+        <span class="muted">${fmtClock(c.start)}</span>
+        <span class="chapter-name"></span>
+      </button>
+    `;
+    li.querySelector(".chapter-name").textContent = c.title;
+    li.querySelector("button").addEventListener("click", () => {
+      player.load(track, { startAt: c.start });
+    });
+    ol.appendChild(li);
+  });
+
+  const form = panel.querySelector(".chapter-load");
+  const status = form.querySelector('[role="status"]');
+  const done = () => renderChapterPanel(panel, track);
+
+  form.addEventListener("submit", async (ev) => {
+    ev.preventDefault();
+    status.textContent = "Loading…";
+    try {
+      await loadChaptersFromUrl(track.id, form.elements.url.value.trim());
+      done();
+    } catch (e) {
+      status.textContent = `Could not load chapters: ${e.message || e}`;
+    }
+  });
+
+  form
+    .querySelector('input[type="file"]')
+    .addEventListener("change", async (ev) => {
+      const file = ev.target.files?.[0];
+      if (!file) return;
+      status.textContent = `Reading ${file.name}…`;
+      try {
+        saveChapters(track.id, await parseChaptersFile(file));
+        done();
+      } catch (e) {
+        status.textContent = `Could not read chapters: ${e.message || e}`;
+      }
+    });
+}
+
+/* =========================
+   CROSS-TAB SYNC
+========================= */
+
+const TAB_CHANNEL = "earbuzz:tabs";
+
+/* Re-render callback of the mounted Favourites page (if any) */
+let favouritesRefresh = null;
+
+/* Progress pills, played/unplayed + reset buttons and the shelf */
+function refreshProgressViews() {
+  document.querySelectorAll("[data-progress-id]").forEach((slot) => {
+    slot.innerHTML = renderProgressPill(slot.dataset.progressId);
+  });
+  document.querySelectorAll("[data-played-for]").forEach((btn) => {
+    const played = !!getProgress(btn.dataset.playedFor)?.finished;
+    btn.textContent = played ? "Mark unplayed" : "Mark played";
+    btn.setAttribute("aria-pressed", String(played));
+  });
+  document.querySelectorAll("[data-reset-for]").forEach((btn) => {
+    btn.hidden = !getProgress(btn.dataset.resetFor);
+  });
+  renderContinueShelf();
+}
+
+/**
+ * Bring the visible UI up to date after another tab changed localStorage.
+ * Updates hearts and progress pills in place instead of re-rendering pages.
+ *
+ * @param {string|null} key changed key (null when storage was cleared)
+ */
+function refreshFromStorage(key) {
+  if (key === null || key === FAVS_KEY) {
+    document.querySelectorAll(".heart[data-fav-id]").forEach((heart) => {
+      if (!heart.dataset.favId) return;
+      const on = isFaved(heart.dataset.favId);
+      heart.classList.toggle("on", on);
+      heart.setAttribute("aria-pressed", String(on));
+      heart.setAttribute("aria-label", on ? "Unfavourite" : "Favourite");
+    });
+    if (favouritesRefresh && $("#favContainer")) favouritesRefresh();
+  }
+
+  if (key === null || key === PROG_KEY) {
+    refreshProgressViews();
+  }
+
+  if (key === null || key === THEME_KEY) {
+    applyTheme(localStorage.getItem(THEME_KEY) || "light");
+  }
+
+  if (key === null || key === QUEUE_KEY) {
+    renderQueuePanel();
+  }
+
+  if (key === null || key === BOOKMARKS_KEY) {
+    refreshBookmarkLists();
+  }
+
+  if (key === null || key === INBOX_KEY) {
+    refreshNewBadges();
+    if (inboxRefresh && $("#inboxContainer")) inboxRefresh();
+  }
+
+  if (key === null || key === DOWNLOADS_KEY) {
+    refreshDownloadButtons();
+    if (downloadsRefresh && $("#downloadsContainer")) downloadsRefresh();
+  }
+
+  if ((key === null || key === HISTORY_KEY) && historyRefresh) {
+    if ($("#historyContainer")) historyRefresh();
+  }
+}
+
+/* =========================
+   MEDIA SESSION
+========================= */
+
+/**
+ * Publish track metadata to a MediaSession (navigator.mediaSession or a stub).
+ *
+ * @param {MediaSession|Object|null} session
+ * @param {{ title?: string, subtitle?: string, cover?: string }|null} track
+ */
+export function publishMediaMetadata(session, track) {
+  if (!session) return;
+  if (!track) {
+    session.metadata = null;
+    return;
+  }
+  const data = {
+    title: track.title || "Now Playing",
+    artist: track.subtitle || "",
+    album: "The Healing Mic",
+    artwork: track.cover ? [{ src: track.cover }] : [],
+  };
+  session.metadata =
+    typeof MediaMetadata === "function" ? new MediaMetadata(data) : data;
+}
+
+/**
+ * Route MediaSession actions (OS overlay, lock screen, headphone buttons)
+ * to the player controls.
+ *
+ * @param {MediaSession|Object|null} session
+ * @param {{ play, pause, seekBy, seekTo, previous, next }} controls
+ */
+export function bindMediaSession(session, controls) {
+  if (!session?.setActionHandler) return;
+  const handlers = {
+    play: () => controls.play(),
+    pause: () => controls.pause(),
+    seekbackward: (d) => controls.seekBy(-(d?.seekOffset || 10)),
+    seekforward: (d) => controls.seekBy(d?.seekOffset || 10),
+    seekto: (d) => controls.seekTo(d?.seekTime ?? 0),
+    previoustrack: () => controls.previous(),
+    nexttrack: () => controls.next(),
+  };
+  Object.entries(handlers).forEach(([action, fn]) => {
+    try {
+      session.setActionHandler(action, fn);
+    } catch {
+      // Action not supported by this browser
+    }
+  });
+}
+
+/**
+ * Mirror the audio element's position into the MediaSession.
+ *
+ * @param {MediaSession|Object|null} session
+ * @param {HTMLAudioElement} audio
+ */
+export function updatePositionState(session, audio) {
+  if (!session?.setPositionState) return;
+  if (!audio.duration || !isFinite(audio.duration)) return;
+  try {
+    session.setPositionState({
+      duration: audio.duration,
+      playbackRate: audio.playbackRate || 1,
+      position: Math.min(audio.currentTime, audio.duration),
+    });
+  } catch {
+    // Invalid state while metadata loads; the next timeupdate retries
+  }
+}
+
+/* =========================
+   GLOBAL AUDIO PLAYER
+========================= */
+
+/**
+ * Mount the global audio player.
+ * Restores last played track, listens for .play action buttons,
+ * and syncs progress + state in localStorage/sessionStorage.
+ */
+export function mountPlayer() {
+  // Prevent multiple initialisations (StrictMode + per-route calls)
+  if (window.__earbuzzPlayerMounted) {
+    return;
+  }
+  window.__earbuzzPlayerMounted = true;
+
+  const audio = $("#audio");
+  const playBtn = $("#playToggle");
+  const back10 = $("#back10");
+  const fwd10 = $("#fwd10");
+  const range = $("#progress");
+  const speedSelect = $("#speedSelect");
+  const sleepSelect = $("#sleepSelect");
+  const sleepCountdown = $("#sleepCountdown");
+  const nowChapter = $("#nowChapter");
+  const chapterTicks = $("#chapterTicks");
+  const prevChapterBtn = $("#prevChapter");
+  const nextChapterBtn = $("#nextChapter");
+
+  if (!audio || !playBtn || !range) {
+    console.warn("mountPlayer: missing core player elements");
+    return;
+  }
+
+  let current = null; // { id, title, subtitle, src, cover? }
+  let localSrc = null; // blob URL of the downloaded copy being played
+  const playedStack = []; // earlier tracks this session, for "previous"
+  const session =
+    typeof navigator !== "undefined" && "mediaSession" in navigator
+      ? navigator.mediaSession
+      : null;
+
+  let chapters = []; // of the current track
+  let chaptersCtrl = null;
+  let lastProgressSave = 0;
+  let syncedSeek = false; // next timeupdate is another tab's position
+
+  // Restore last track + state if we have one
+  try {
+    const rawTrack =
+      sessionStorage.getItem(LAST_TRACK_KEY) ||
+      localStorage.getItem(LAST_TRACK_KEY);
+    const rawState = localStorage.getItem(LAST_TRACK_STATE_KEY);
+
+    const last = rawTrack ? JSON.parse(rawTrack) : null;
+    const lastState = rawState === "playing" ? "playing" : "paused";
+
+    if (last && last.id && last.src) {
+      current = last;
+      audio.src = last.src;
+      applyRate();
+
+      const t = loadProgress(last.id);
+      if (!isNaN(t) && t > 0) audio.currentTime = t;
+
+      player.updatePlayerState(
+        { track: current, currentTime: t > 0 ? t : 0 },
+        "trackchange"
+      );
+      publishMediaMetadata(session, last);
+      refreshChapters();
+
+      // Auto-resume if user was playing before navigation.
+      // If the browser blocks autoplay we just stay paused.
+      if (lastState === "playing") {
+        audio.play().catch(() => {});
+      }
+    }
+  } catch {
+    // ignore
+  }
+
+  // A restored track that was downloaded switches to the local copy
+  if (current && isDownloaded(current.id)) {
+    const restored = current;
+    localAudioUrl(restored).then((url) => {
+      if (!url) return;
+      if (current !== restored) {
+        URL.revokeObjectURL(url);
+        return;
+      }
+      const t = audio.currentTime;
+      const wasPlaying = !audio.paused;
+      localSrc = url;
+      audio.src = url;
+      audio.currentTime = t;
+      if (wasPlaying) audio.play().catch(() => {});
+    });
+  }
+
+  function setLastState(state) {
+    localStorage.setItem(LAST_TRACK_STATE_KEY, state);
+  }
+
+  /*
+   * Downloaded episodes play from Cache Storage instead of streaming.
+   * Resolves to null when another track was picked while the local copy
+   * was opening; that copy's URL is revoked.
+   */
+  async function sourceFor(track) {
+    const url = await localAudioUrl(track);
+    if (current !== track) {
+      if (url) URL.revokeObjectURL(url);
+      return null;
+    }
+    if (localSrc) URL.revokeObjectURL(localSrc);
+    localSrc = url;
+    return url || track.src;
+  }
+
+  // Apply the remembered speed for the current track's show.
+  // defaultPlaybackRate survives the reset that loading a new src causes.
+  function applyRate() {
+    const rate = current?.id ? getRateFor(current.id) : getDefaultRate();
+    audio.defaultPlaybackRate = rate;
+    audio.playbackRate = rate;
+    if (speedSelect) fillSpeedSelect(speedSelect, rate);
+  }
+
+  if (speedSelect) {
+    if (!current) applyRate();
+    speedSelect.addEventListener("change", () => {
+      const rate = clampRate(speedSelect.value);
+      audio.defaultPlaybackRate = rate;
+      audio.playbackRate = rate;
+      if (current?.id && showIdFromTrackId(current.id)) {
+        saveRateFor(current.id, rate);
+      } else {
+        setDefaultRate(rate);
+      }
+    });
+  }
+
+  // Player controls shared by the footer buttons and the MediaSession
+  async function play() {
+    if (!audio.src) return;
+    try {
+      await audio.play();
+      setLastState("playing");
+    } catch (err) {
+      console.error("Footer playToggle error", err);
+    }
+  }
+
+  function pause() {
+    audio.pause();
+    setLastState("paused");
+  }
+
+  function seekTo(t) {
+    const max = audio.duration || Infinity;
+    audio.currentTime = Math.max(0, Math.min(max, t));
+  }
+
+  function seekBy(delta) {
+    seekTo(audio.currentTime + delta);
+  }
+
+  function previous() {
+    // Like most players: restart unless we're right at the beginning
+    if (audio.currentTime > 3 || playedStack.length === 0) {
+      seekTo(0);
+      return;
+    }
+    setTrack(playedStack.pop(), { remember: false });
+  }
+
+  function next() {
+    const track = dequeue();
+    if (track) playQueued(track);
+  }
+
+  /* Play an item taken off the queue, honouring its `startAt` */
+  function playQueued({ startAt, ...track }) {
+    setTrack(track, { startAt });
+  }
+
+  // Main play / pause toggle in footer
+  playBtn.addEventListener("click", () => {
+    if (audio.paused) play();
+    else pause();
+  });
+
+  back10?.addEventListener("click", () => seekBy(-10));
+
+  fwd10?.addEventListener("click", () => seekBy(10));
+
+  // OS / lock-screen / headphone controls
+  bindMediaSession(session, { play, pause, seekBy, seekTo, previous, next });
+
+  // Public API (player.js): other modules and React components use this
+  player.attachPlayer({ load: setTrack, play, pause, seek: seekTo, seekBy });
+
+  audio.addEventListener("play", () => {
+    if (session) session.playbackState = "playing";
+    player.updatePlayerState({ playing: true }, "play");
+  });
+  audio.addEventListener("pause", () => {
+    if (session) session.playbackState = "paused";
+    player.updatePlayerState({ playing: false }, "pause");
+    saveCurrentProgress();
+  });
+  window.addEventListener("pagehide", () => {
+    if (!audio.paused) saveCurrentProgress();
+  });
+
+  function saveCurrentProgress() {
+    if (!current?.id || !audio.duration) return;
+    lastProgressSave = Date.now();
+    saveProgress(current.id, audio.currentTime, false, audio.duration, current);
+  }
+
+  recordListening();
+
+  // Highlight the loaded episode wherever it is listed
+  player.on("trackchange", markPlayingRows);
+  player.on("trackchange", ({ track }) => {
+    if (track) markEpisodeSeen(track.id);
+  });
+  player.on("play", markPlayingRows);
+  player.on("pause", markPlayingRows);
+  player.on("pause", renderContinueShelf);
+  player.on("ended", refreshProgressViews);
+
+  range.addEventListener("input", (e) => {
+    const v = Number(e.target.value);
+    if (audio.duration) {
+      audio.currentTime = (v / 100) * audio.duration;
+    }
+  });
+
+  audio.addEventListener("timeupdate", () => {
+    player.updatePlayerState(
+      { currentTime: audio.currentTime, duration: audio.duration || 0 },
+      "timeupdate"
+    );
+    if (!audio.duration) return;
+    const pct = (audio.currentTime / audio.duration) * 100;
+    range.value = String(Math.max(0, Math.min(100, Math.floor(pct))));
+    if (syncedSeek) {
+      // Another tab's position: already stored, writing it back would
+      // bounce between tabs
+      syncedSeek = false;
+    } else if (
+      audio.paused ||
+      Date.now() - lastProgressSave >= PROGRESS_SAVE_MS
+    ) {
+      // Paused timeupdates are seeks: save those straight away
+      saveCurrentProgress();
+    }
+    updatePositionState(session, audio);
+    updateChapterTitle();
+    if (current) syncTranscript(current.id, audio.currentTime);
+
+    // "End of this episode" sleep timer: count down and fade the tail
+    if (sleep?.endOfEpisode) {
+      const left =
+        (audio.duration - audio.currentTime) / (audio.playbackRate || 1);
+      showSleepCountdown(left);
+      fadeForSleep(left);
+    }
+  });
+
+  audio.addEventListener("ended", () => {
+    if (current?.id) {
+      markFinished(current.id, audio.duration || 0);
+    }
+    setLastState("paused");
+    player.updatePlayerState({ playing: false }, "ended");
+
+    // Sleep timer set to "end of this episode": stop instead of advancing
+    if (sleep?.endOfEpisode) {
+      cancelSleep();
+      return;
+    }
+
+    // Auto-advance to the next queued episode
+    const next = dequeue();
+    if (next) playQueued(next);
+  });
+
+  // Chapters of the current track: ticks on #progress, title, prev/next
+  // (state is declared above the restore block, which loads them)
+  function renderChapterTicks() {
+    if (!chapterTicks) return;
+    chapterTicks.innerHTML = "";
+    if (!audio.duration || !isFinite(audio.duration)) return;
+    chapters.forEach((c) => {
+      if (c.start <= 0 || c.start >= audio.duration) return;
+      const tick = document.createElement("span");
+      tick.className = "chapter-tick";
+      tick.style.left = `${(c.start / audio.duration) * 100}%`;
+      tick.title = `${fmtClock(c.start)} ${c.title}`;
+      chapterTicks.appendChild(tick);
+    });
+  }
+
+  function updateChapterTitle() {
+    const i = chapterIndexAt(chapters, audio.currentTime);
+    if (nowChapter) {
+      nowChapter.textContent = i >= 0 ? `§ ${chapters[i].title}` : "";
+    }
+    if (nextChapterBtn) nextChapterBtn.disabled = i >= chapters.length - 1;
+  }
+
+  function showChapters(list) {
+    chapters = list;
+    const has = chapters.length > 0;
+    if (prevChapterBtn) prevChapterBtn.hidden = !has;
+    if (nextChapterBtn) nextChapterBtn.hidden = !has;
+    renderChapterTicks();
+    updateChapterTitle();
+  }
+
+  function refreshChapters() {
+    chaptersCtrl?.abort();
+    showChapters([]);
+    if (!current?.id) return;
+    const ctrl = new AbortController();
+    chaptersCtrl = ctrl;
+    // Reading the ID3 tag fetches the audio: leave that to the chapter list
+    // unless it is cheap and allowed (same origin, online, not downloaded)
+    const probeAudio =
+      !localSrc && !isDownloaded(current.id) && canProbeAudio(current.src);
+    loadChapters(current, ctrl.signal, { probeAudio })
+      .then((list) => {
+        if (!ctrl.signal.aborted) showChapters(list);
+      })
+      .catch(() => {});
+  }
+
+  function seekChapter(dir) {
+    const i = chapterIndexAt(chapters, audio.currentTime);
+    if (dir < 0) {
+      // Within the first seconds of a chapter, jump to the previous one
+      const here = chapters[i];
+      const target =
+        here && audio.currentTime - here.start > 3 ? here : chapters[i - 1];
+      seekTo(target ? target.start : 0);
+    } else if (chapters[i + 1]) {
+      seekTo(chapters[i + 1].start);
+    }
+    updateChapterTitle();
+  }
+
+  prevChapterBtn?.addEventListener("click", () => seekChapter(-1));
+  nextChapterBtn?.addEventListener("click", () => seekChapter(1));
+  audio.addEventListener("loadedmetadata", renderChapterTicks);
+
+  // Chapters uploaded or loaded by URL from an episode row
+  document.addEventListener("earbuzz:chapters", (event) => {
+    if (event.detail?.trackId === current?.id) {
+      showChapters(event.detail.chapters);
+    }
+  });
+
+  // Sleep timer. Lives in this closure, so it survives route changes.
+  const SLEEP_FADE_SECONDS = 10;
+  // { remaining, endsAt, interval, volume } | { endOfEpisode, volume }
+  // The countdown only runs while audio plays (interval set); when paused,
+  // `remaining` holds the milliseconds left.
+  let sleep = null;
+
+  function showSleepCountdown(secondsLeft, paused = false) {
+    if (sleepCountdown) {
+      sleepCountdown.textContent = `💤 ${fmtClock(secondsLeft)}${
+        paused ? " (paused)" : ""
+      }`;
+    }
+  }
+
+  function fadeForSleep(secondsLeft) {
+    if (!sleep) return;
+    const k = Math.max(0, Math.min(1, secondsLeft / SLEEP_FADE_SECONDS));
+    audio.volume = sleep.volume * k;
+  }
+
+  function cancelSleep() {
+    if (sleep) {
+      clearInterval(sleep.interval);
+      audio.volume = sleep.volume;
+    }
+    sleep = null;
+    if (sleepSelect) sleepSelect.value = "";
+    if (sleepCountdown) sleepCountdown.textContent = "";
+  }
+
+  function sleepNow() {
+    audio.pause();
+    setLastState("paused");
+    if (current?.id) {
+      saveProgress(current.id, audio.currentTime, false, audio.duration || 0);
+    }
+    cancelSleep();
+  }
+
+  function startSleep(minutes) {
+    cancelSleep();
+    const volume = audio.volume;
+    if (minutes === "end") {
+      sleep = { endOfEpisode: true, volume };
+      if (sleepSelect) sleepSelect.value = "end";
+      if (sleepCountdown) sleepCountdown.textContent = "💤 end of episode";
+      return;
+    }
+
+    sleep = {
+      remaining: minutes * 60 * 1000,
+      endsAt: 0,
+      interval: null,
+      volume,
+    };
+    if (audio.paused) showSleepCountdown(minutes * 60, true);
+    else resumeSleep();
+  }
+
+  function tickSleep() {
+    const left = (sleep.endsAt - Date.now()) / 1000;
+    if (left <= 0) {
+      sleepNow();
+      return;
+    }
+    showSleepCountdown(left);
+    fadeForSleep(left);
+  }
+
+  function resumeSleep() {
+    sleep.endsAt = Date.now() + sleep.remaining;
+    sleep.interval = setInterval(tickSleep, 250);
+    tickSleep();
+  }
+
+  function holdSleep() {
+    clearInterval(sleep.interval);
+    sleep.interval = null;
+    sleep.remaining = Math.max(0, sleep.endsAt - Date.now());
+    showSleepCountdown(sleep.remaining / 1000, true);
+  }
+
+  audio.addEventListener("pause", () => {
+    if (sleep?.interval) holdSleep();
+  });
+  audio.addEventListener("play", () => {
+    if (sleep && !sleep.endOfEpisode && !sleep.interval) resumeSleep();
+  });
+
+  sleepSelect?.addEventListener("change", () => {
+    const v = sleepSelect.value;
+    if (!v) {
+      cancelSleep();
+      return;
+    }
+    if (v === "end") {
+      startSleep("end");
+      return;
+    }
+    if (v === "custom") {
+      const answer = prompt("Sleep after how many minutes?", "45");
+      const minutes = Number(answer);
+      if (!answer || !isFinite(minutes) || minutes <= 0) {
+        cancelSleep();
+        return;
+      }
+      startSleep(minutes);
+      sleepSelect.value = "custom";
+      return;
+    }
+    startSleep(Number(v));
+  });
+
+  // Cross-tab coordination: only one tab plays at a time
+  const tabId = Math.random().toString(36).slice(2);
+  const channel =
+    typeof BroadcastChannel !== "undefined"
+      ? new BroadcastChannel(TAB_CHANNEL)
+      : null;
+
+  audio.addEventListener("play", () => {
+    channel?.postMessage({ type: "playing", tabId });
+  });
+
+  channel?.addEventListener("message", (event) => {
+    const msg = event.data || {};
+    if (msg.type === "playing" && msg.tabId !== tabId && !audio.paused) {
+      // Another tab took over: pause quietly, it now owns lastTrackState
+      audio.pause();
+    }
+  });
+
+  // Follow changes other tabs make to progress, favourites, theme and queue
+  window.addEventListener("storage", (event) => {
+    if (event.storageArea !== localStorage) return;
+
+    // Keep a paused tab's position in step so it never writes stale progress
+    if ((event.key === null || event.key === PROG_KEY) && current?.id) {
+      const t = loadProgress(current.id);
+      if (audio.paused && Math.abs(t - audio.currentTime) > 1) {
+        syncedSeek = true;
+        audio.currentTime = t;
+        if (audio.duration) {
+          range.value = String(Math.floor((t / audio.duration) * 100));
+        }
+      }
+    }
+
+    // Another tab playing only moves one episode's position: update its
+    // pill and leave the rest of the page (and keyboard focus) alone
+    const moved =
+      event.key === PROG_KEY
+        ? positionOnlyChange(event.oldValue, event.newValue)
+        : null;
+    if (moved) {
+      document
+        .querySelectorAll(`[data-progress-id="${CSS.escape(moved)}"]`)
+        .forEach((slot) => {
+          slot.innerHTML = renderProgressPill(moved);
+        });
+      return;
+    }
+
+    refreshFromStorage(event.key);
+  });
+
+  // Warn if user reloads while audio is playing
+  window.addEventListener("beforeunload", (e) => {
+    if (!audio.paused) {
+      setLastState("playing");
+      const msg =
+        "Audio is currently playing. Are you sure you want to leave this page?";
+      e.preventDefault();
+      e.returnValue = msg;
+      return msg;
+    } else {
+      setLastState("paused");
+    }
+  });
+
+  async function setTrack(track, { remember = true, startAt } = {}) {
+    if (!track.src) {
+      console.warn("setTrack called without audio src", track);
+      return;
+    }
+
+    // Same episode already loaded: just jump to the requested time
+    if (current?.id === track.id && audio.src && typeof startAt === "number") {
+      seekTo(startAt);
+      await play();
+      return;
+    }
+
+    if (remember && current && current.id !== track.id) {
+      playedStack.push(current);
+    }
+    current = { ...track };
+
+    const src = await sourceFor(current);
+    if (!src) return; // a later setTrack took over
+    audio.src = src;
+    applyRate();
+    publishMediaMetadata(session, current);
+    refreshChapters();
+    sessionStorage.setItem(LAST_TRACK_KEY, JSON.stringify(current));
+    localStorage.setItem(LAST_TRACK_KEY, JSON.stringify(current));
+
+    const t = typeof startAt === "number" ? startAt : loadProgress(current.id);
+    if (!isNaN(t) && t > 0) audio.currentTime = t;
+    player.updatePlayerState(
+      { track: current, currentTime: t > 0 ? t : 0, duration: 0 },
+      "trackchange"
+    );
+
+    try {
+      await audio.play();
+      setLastState("playing");
+    } catch (err) {
+      console.error("Audio play error", err);
+      setLastState("paused");
+    }
+  }
+
+  // "Up Next" panel: toggle, play, reorder and remove queued episodes
+  const queueToggle = $("#queueToggle");
+  const queuePanel = $("#queuePanel");
+  const queueList = $("#queueList");
+  const queueClear = $("#queueClear");
+
+  queueToggle?.addEventListener("click", () => {
+    if (!queuePanel) return;
+    queuePanel.hidden = !queuePanel.hidden;
+    queueToggle.setAttribute("aria-expanded", String(!queuePanel.hidden));
+  });
+
+  queueClear?.addEventListener("click", () => clearQueue());
+
+  const bookmarkBtn = $("#bookmarkBtn");
+  bookmarkBtn?.addEventListener("click", () => {
+    if (!current?.id) return;
+    const t = audio.currentTime;
+    const note = prompt(`Bookmark at ${fmtClock(t)} — add a note (optional):`);
+    if (note === null) return;
+    addBookmark(current, t, note);
+    bookmarkBtn.textContent = "🔖 Saved";
+    setTimeout(() => {
+      bookmarkBtn.textContent = "🔖 Bookmark";
+    }, 1500);
+  });
+
+  const copyLinkBtn = $("#copyLink");
+  copyLinkBtn?.addEventListener("click", async () => {
+    if (!current?.id) return;
+    const url = episodeLink(current.id, audio.currentTime);
+    try {
+      await navigator.clipboard.writeText(url);
+      copyLinkBtn.textContent = "🔗 Copied";
+      setTimeout(() => {
+        copyLinkBtn.textContent = "🔗 Copy link";
+      }, 1500);
+    } catch {
+      // Clipboard blocked (e.g. insecure context): let the user copy it
+      prompt("Copy this link:", url);
+    }
+  });
+
+  $("#transcriptToggle")?.addEventListener("click", () => {
+    if (current) toggleTranscriptPanel(current);
+  });
+
+  queueList?.addEventListener("click", (event) => {
+    const li = event.target.closest(".queue-item");
+    if (!li) return;
+    const i = Number(li.dataset.index);
+
+    if (event.target.closest(".queue-up")) {
+      moveInQueue(i, i - 1);
+    } else if (event.target.closest(".queue-down")) {
+      moveInQueue(i, i + 1);
+    } else if (event.target.closest(".queue-remove")) {
+      const track = readQueue()[i];
+      if (track) removeFromQueue(track.id);
+    } else if (event.target.closest(".queue-play")) {
+      const track = readQueue()[i];
+      if (track) {
+        removeFromQueue(track.id);
+        playQueued(track);
+      }
+    }
+  });
+
+  // Drag & drop reordering
+  let dragFrom = -1;
+  queueList?.addEventListener("dragstart", (event) => {
+    const li = event.target.closest(".queue-item");
+    dragFrom = li ? Number(li.dataset.index) : -1;
+  });
+  queueList?.addEventListener("dragover", (event) => {
+    if (dragFrom >= 0) event.preventDefault();
+  });
+  queueList?.addEventListener("drop", (event) => {
+    const li = event.target.closest(".queue-item");
+    if (li && dragFrom >= 0) {
+      event.preventDefault();
+      moveInQueue(dragFrom, Number(li.dataset.index));
+    }
+    dragFrom = -1;
+  });
+
+  renderQueuePanel();
+
+  // Delegated click handler for download buttons: download / cancel / delete
+  document.addEventListener("click", async (event) => {
+    const btn = event.target.closest(".action.download");
+    if (!btn) return;
+    const track = trackFromButton(btn);
+    if (!track) return;
+
+    const { state } = downloadState(track.id);
+    if (state === "downloading") {
+      cancelDownload(track.id);
+      return;
+    }
+    if (state === "done") {
+      if (confirm(`Delete the download of "${track.title}"?`)) {
+        await deleteDownload(track.id);
+      }
+      return;
+    }
+    try {
+      await downloadEpisode(track);
+    } catch (err) {
+      if (err.name !== "AbortError") {
+        alert(`Could not download "${track.title}": ${err.message || err}`);
+      }
+    }
+  });
+
+  document.addEventListener(INBOX_EVENT, () => {
+    refreshNewBadges();
+    if (inboxRefresh && $("#inboxContainer")) inboxRefresh();
+  });
+
+  document.addEventListener(DOWNLOADS_EVENT, (event) => {
+    refreshDownloadButtons(event.detail?.trackId);
+    if (event.detail?.state === "downloading") return;
+    if (downloadsRefresh && $("#downloadsContainer")) downloadsRefresh();
+  });
+
+  // Delegated click handler for "Play next" / "Add to queue" buttons
+  document.addEventListener("click", (event) => {
+    const btn = event.target.closest(".action.queue-next, .action.queue-add");
+    if (!btn) return;
+
+    const track = trackFromButton(btn);
+    if (!track) {
+      console.warn("Queue action without audio URL", btn.dataset);
+      return;
+    }
+
+    if (btn.classList.contains("queue-next")) {
+      enqueueNext(track);
+    } else {
+      enqueue(track);
+    }
+
+    // Nothing loaded yet: start playing straight away
+    if (!current) {
+      const first = dequeue();
+      if (first) playQueued(first);
+    }
+  });
+
+  // Delegated click handler for ANY `.action.play` button
+  document.addEventListener("click", async (event) => {
+    const btn = event.target.closest(".action.play");
+    if (!btn) return;
+
+    const showId = btn.dataset.showId;
+
+    try {
+      // CASE 1: Episode favourite – we already have an audio URL
+      const track = trackFromButton(btn);
+      if (track) {
+        await setTrack(track);
+        return;
+      }
+
+      // CASE 2: Show favourite – fetch first episode and play it
+      if (showId) {
+        const show = await fetchShowById(showId);
+        const firstSeason = show.seasons?.[0];
+        const firstEp = firstSeason?.episodes?.[0];
+
+        if (!firstSeason || !firstEp) {
+          console.warn("No episodes found for show", showId);
+          return;
+        }
+
+        const audio = firstEp.file || firstEp.audioUrl || "";
+
+        if (!audio) {
+          console.warn("No audio URL for first episode of show", showId);
+          return;
+        }
+
+        const id = `${show.id}:${firstSeason.season}:${firstEp.episode}`;
+        const title =
+          `S${firstSeason.season}E${firstEp.episode} — ` +
+          (firstEp.title || show.title);
+        const subtitle = show.title;
+        const cover = firstSeason.image || show.image;
+
+        await setTrack({ id, title, subtitle, cover, src: audio });
+      }
+    } catch (err) {
+      console.error("Error handling Play button", err);
+    }
+  });
+}
+
+/* =========================
+   HOME PAGE
+========================= */
+
+/**
+ * Fill the "Continue Listening" shelf (#continueShelf) from saved
+ * progress; the section stays hidden while there is nothing to resume.
+ */
+function renderContinueShelf() {
+  const shelf = $("#continueShelf");
+  const section = $("#continueSection");
+  if (!shelf) return;
+
+  const entries = loadContinueListening();
+  if (section) section.hidden = entries.length === 0;
+  shelf.innerHTML = "";
+
+  entries.forEach(({ id, t, duration, track }) => {
+    const pct = duration ? Math.min(100, Math.round((t / duration) * 100)) : 0;
+    const li = document.createElement("li");
+    li.className = "card continue-card";
+    li.innerHTML = `
+      <a class="card-link" href="${episodeHash(id)}">
+        <img class="cover" src="${track.cover || ""}" alt="" />
+        <h3></h3>
+        <p class="muted"></p>
+      </a>
+      <div class="continue-progress" role="progressbar" aria-valuemin="0"
+        aria-valuemax="100" aria-valuenow="${pct}">
+        <span style="width: ${pct}%"></span>
+      </div>
+      <div class="continue-meta">
+        <span class="muted">${pct}% · ${fmtClock(t)} in</span>
+        <button class="btn" type="button">▶ Resume</button>
+      </div>
+    `;
+    // Feed text: set as text, not HTML
+    li.querySelector("h3").textContent = track.title;
+    li.querySelector(".card-link .muted").textContent = track.subtitle;
+    li.querySelector("button").addEventListener("click", () => {
+      player.load(track);
+    });
+    shelf.appendChild(li);
+  });
+}
+
+/**
+ * Render the Home page: Continue Listening shelf, recommendations, grid, filters, sorting.
+ */
+export async function renderHome() {
+  const carousel = $("#carousel");
+  const grid = $("#grid");
   const genreFilter = $("#genreFilter");
   const sortSelect = $("#sortSelect");
   if (!carousel || !grid) return;
 
+  renderContinueShelf();
+
   // show loading state while we fetch
   carousel.innerHTML = `
     <li class="card">
@@ -572,24 +2273,69 @@ export async function renderHome() {
         list.sort((a, b) => new Date(b.updated) - new Date(a.updated));
       }
 
-      renderCarousel(list.slice(0, 10));
+      // The carousel is personalised; only the genre filter narrows it
+      renderCarousel(
+        recommendShows(list, {
+          favs: readFavs(),
+          progress: readProg(),
+          loadedShows: getLoadedShows(),
+          genreName: (id) => genreNames([id])[0],
+        })
+      );
       renderGrid(list);
+      refreshNewBadges();
+    }
+
+    genreFilter?.addEventListener("change", applyFilters);
+    sortSelect?.addEventListener("change", applyFilters);
+
+    // Subscribe to an RSS/Atom feed by URL
+    const feedForm = $("#feedForm");
+    const feedStatus = $("#feedStatus");
+    if (feedForm && feedForm.dataset.bound !== "1") {
+      feedForm.dataset.bound = "1";
+      feedForm.addEventListener("submit", async (ev) => {
+        ev.preventDefault();
+        const input = feedForm.querySelector("#feedUrl");
+        const url = input?.value.trim();
+        if (!url) return;
+
+        if (feedStatus) feedStatus.textContent = "Loading feed…";
+        try {
+          const show = await subscribeFeed(url);
+          items = await fetchPreviews();
+          applyFilters();
+          input.value = "";
+          if (feedStatus) {
+            feedStatus.textContent = `Subscribed to ${show.title}`;
+          }
+        } catch (err) {
+          if (feedStatus) {
+            feedStatus.textContent = `Could not add feed: ${
+              err.message || err
+            }`;
+          }
+        }
+      });
     }
 
-    genreFilter?.addEventListener("change", applyFilters);
-    sortSelect?.addEventListener("change", applyFilters);
-
     applyFilters();
   } catch (e) {
+    if (e.offline) {
+      // The offline banner explains; no alarming error here
+      carousel.innerHTML = "";
+      grid.innerHTML = `<p class="muted">Shows haven't been saved for offline use yet. Connect once and they will be.</p>`;
+      return;
+    }
     grid.innerHTML = `<p role="alert">Failed to load shows: ${
       e.message || e
     }</p>`;
   }
 
-  function renderCarousel(list) {
+  function renderCarousel(picks) {
     carousel.innerHTML = "";
 
-    list.forEach((show) => {
+    picks.forEach(({ show, reason }) => {
       const showFavId = `show:${show.id}`;
       const active = isFaved(showFavId);
       const li = document.createElement("li");
@@ -597,10 +2343,14 @@ export async function renderHome() {
       li.style.width = "260px";
 
       li.innerHTML = `
-        ${renderHeartBtn(active)}
+        ${renderHeartBtn(active, showFavId)}
         <a class="card-link" href="#/show/${show.id}">
           <img src="${show.image}" alt="" class="cover" />
-          <h3>${show.title}</h3>
+          <h3>
+            ${escapeHtml(show.title)}
+            <span data-new-for="${show.id}"></span>
+          </h3>
+          <p class="muted rec-reason">${reason}</p>
           <div class="badges">
             ${genreNames(show.genres)
               .slice(0, 3)
@@ -648,11 +2398,13 @@ export async function renderHome() {
       const card = document.createElement("article");
       card.className = "card show-card";
       card.innerHTML = `
-        ${renderHeartBtn(active)}
+        ${renderHeartBtn(active, showFavId)}
         <a class="card-link" href="#/show/${show.id}">
           <img class="cover" src="${show.image}" alt="">
-          <h3>${show.title}</h3>
+          <h3>${escapeHtml(show.title)}</h3>
           <div class="pills">
+            <span data-new-for="${show.id}"></span>
+            ${show.feedUrl ? `<span class="pill">RSS</span>` : ""}
             <span class="pill">${show.seasons ?? 0} seasons</span>
             <span class="pill">Updated ${fmtDate(show.updated)}</span>
           </div>
@@ -685,8 +2437,11 @@ export async function renderHome() {
  * Render the Show page.
  * If idFromReact is provided (React HashRouter), that ID is used.
  * Otherwise falls back to ?id= from the URL (vanilla usage).
+ *
+ * With a deep-link `target` ({ season, episode, t? }) the season is
+ * selected, the episode row highlighted, and playback starts at `t`.
  */
-export async function renderShow(idFromReact) {
+export async function renderShow(idFromReact, target = null) {
   const cover = $("#showCover");
   const titleEl = $("#showTitle");
   const descEl = $("#showDescription");
@@ -694,6 +2449,7 @@ export async function renderShow(idFromReact) {
   const updatedEl = $("#updatedMeta");
   const seasonsMeta = $("#seasonsMeta");
   const seasonSelect = $("#seasonSelect");
+  const hidePlayed = $("#hidePlayed");
   const list = $("#episodeList");
   if (!list || !seasonSelect) return;
 
@@ -781,6 +2537,25 @@ export async function renderShow(idFromReact) {
       seasonsMeta.textContent = `${show.seasons?.length || 0} season(s)`;
     }
 
+    // Feed shows: allow unsubscribing from the show page
+    const oldUnsub = $("#unsubscribeFeed");
+    if (oldUnsub) oldUnsub.remove();
+    if (show.feedUrl && seasonSelect.parentElement) {
+      const unsub = document.createElement("button");
+      unsub.id = "unsubscribeFeed";
+      unsub.type = "button";
+      unsub.className = "btn btn-danger";
+      unsub.textContent = "Unsubscribe feed";
+      unsub.title = show.feedUrl;
+      unsub.addEventListener("click", () => {
+        if (confirm(`Unsubscribe from ${show.title}?`)) {
+          unsubscribeFeed(show.id);
+          navigate("#/");
+        }
+      });
+      seasonSelect.parentElement.appendChild(unsub);
+    }
+
     // build season dropdown
     seasonSelect.innerHTML = "";
     show.seasons
@@ -801,8 +2576,88 @@ export async function renderShow(idFromReact) {
     seasonSelect.addEventListener("change", () =>
       renderSeason(currentSeason())
     );
+    hidePlayed?.addEventListener("change", () => renderSeason(currentSeason()));
+
+    // Season bulk actions
+    $("#markSeasonPlayed")?.addEventListener("click", () => {
+      const season = currentSeason();
+      if (!season) return;
+      season.episodes.forEach((ep) =>
+        markFinished(episodeTrack(season, ep).id)
+      );
+      renderSeason(season);
+      refreshProgressViews();
+    });
+    $("#playSeason")?.addEventListener("click", () => {
+      const season = currentSeason();
+      if (season) playInOrder(season.episodes, { fromStart: true });
+    });
+    $("#playUnplayed")?.addEventListener("click", () => {
+      const season = currentSeason();
+      if (!season) return;
+      playInOrder(
+        season.episodes.filter(
+          (ep) => !getProgress(episodeTrack(season, ep).id)?.finished
+        )
+      );
+    });
+
+    /*
+     * Play the first episode now and put the rest at the front of Up Next,
+     * ahead of what was already queued. From the start applies to them too.
+     */
+    function playInOrder(episodes, { fromStart = false } = {}) {
+      const season = currentSeason();
+      const tracks = episodes
+        .map((ep) => episodeTrack(season, ep))
+        .filter((track) => track.src);
+      if (!tracks.length) return;
+      const [first, ...rest] = tracks;
+      const ids = new Set(tracks.map((t) => t.id));
+      writeQueue([
+        ...rest.map((t) => (fromStart ? { ...t, startAt: 0 } : t)),
+        ...readQueue().filter((t) => !ids.has(t.id)),
+      ]);
+      player.load(first, fromStart ? { startAt: 0 } : undefined);
+    }
+
+    if (
+      target?.season &&
+      show.seasons.some((s) => s.season === Number(target.season))
+    ) {
+      seasonSelect.value = String(target.season);
+    }
 
     renderSeason(currentSeason());
+    if (target?.episode) openEpisode(target);
+
+    // Deep link: scroll to + highlight the episode and play it from `t`
+    function openEpisode({ season, episode, t }) {
+      const eid = `${show.id}:${season}:${episode}`;
+      const btn = list.querySelector(
+        `.action.play[data-episode-id="${CSS.escape(eid)}"]`
+      );
+      if (!btn) return;
+      const row = btn.closest(".episode-row");
+      row.classList.add("is-linked");
+      row.scrollIntoView({ behavior: "smooth", block: "center" });
+      player.load(trackFromButton(btn), t >= 0 ? { startAt: t } : undefined);
+    }
+
+    /* The player track for an episode of this show */
+    function episodeTrack(season, ep) {
+      const etitle = ep.title || `Episode ${ep.episode}`;
+      return {
+        id: `${show.id}:${season.season}:${ep.episode}`,
+        title: `S${season.season}E${ep.episode} — ${etitle}`,
+        subtitle: show.title,
+        cover: season.image || show.image,
+        chaptersUrl: ep.chaptersUrl || "",
+        transcriptUrl: ep.transcriptUrl || "",
+        transcriptType: ep.transcriptType || "",
+        src: ep.file || ep.audioUrl || "",
+      };
+    }
 
     function renderSeason(season) {
       list.innerHTML = "";
@@ -811,35 +2666,79 @@ export async function renderShow(idFromReact) {
         return;
       }
 
-      season.episodes.forEach((ep) => {
-        const eid = `${show.id}:${season.season}:${ep.episode}`;
+      const episodes = hidePlayed?.checked
+        ? season.episodes.filter(
+            (ep) => !getProgress(episodeTrack(season, ep).id)?.finished
+          )
+        : season.episodes;
+      if (!episodes.length) {
+        list.innerHTML = `<p class="muted">Every episode in this season is played.</p>`;
+        return;
+      }
+
+      episodes.forEach((ep) => {
+        const track = episodeTrack(season, ep);
+        const eid = track.id;
         const etitle = ep.title || `Episode ${ep.episode}`;
-        const audio = ep.file || ep.audioUrl || "";
+        const audio = track.src;
+
+        const trackAttrs = `
+              data-episode-id="${eid}"
+              data-audio-url="${audio}"
+              data-title="${escapeHtml(track.title)}"
+              data-subtitle="${escapeHtml(track.subtitle)}"
+              data-cover="${track.cover}"
+              data-chapters-url="${track.chaptersUrl}"
+              data-transcript-url="${track.transcriptUrl}"
+              data-transcript-type="${track.transcriptType}"`;
 
         const row = document.createElement("div");
         row.className = "episode-row";
         row.innerHTML = `
           <img class="ep-cover" src="${season.image || show.image}" alt="">
           <div>
-            <div class="ep-title">${etitle}</div>
-            <div class="ep-summary">${truncate(ep.description || "", 200)}</div>
+            <div class="ep-title">${escapeHtml(etitle)}</div>
+            <div class="ep-summary">${escapeHtml(
+              truncate(ep.description || "", 200)
+            )}</div>
             <div class="ep-meta">
               <span class="muted">S${season.season} • E${ep.episode}</span>
-              <span class="ep-progress"></span>
+              <span class="ep-progress" data-progress-id="${eid}"></span>
             </div>
           </div>
           <div class="actions">
-            ${renderHeartBtn(isFaved(eid))}
+            ${renderHeartBtn(isFaved(eid), eid)}
             <button
               class="action play"
               type="button"
-              data-episode-id="${eid}"
-              data-audio-url="${audio}"
-              data-title="S${season.season}E${ep.episode} — ${etitle}"
-              data-subtitle="${show.title}"
+              ${trackAttrs}
             >
               Play
             </button>
+            ${renderQueueBtns(trackAttrs)}
+            ${renderDownloadBtn(trackAttrs)}
+            <button
+              class="action chapters"
+              type="button"
+              aria-expanded="false"
+            >
+              Chapters
+            </button>
+            <button class="action transcript" type="button">
+              Transcript
+            </button>
+            <button
+              class="action mark-played"
+              type="button"
+              data-played-for="${eid}"
+            ></button>
+            <button
+              class="action reset-progress"
+              type="button"
+              data-reset-for="${eid}"
+            >
+              Reset progress
+            </button>
           </div>
         `;
 
@@ -866,10 +2765,66 @@ export async function renderShow(idFromReact) {
           heart.classList.toggle("on", isFaved(eid));
         });
 
+        // Chapter list, shown under the row on demand
+        const chaptersBtn = row.querySelector(".action.chapters");
+        let chapterPanel = null;
+        chaptersBtn.addEventListener("click", () => {
+          if (chapterPanel) {
+            chapterPanel.remove();
+            chapterPanel = null;
+            chaptersBtn.setAttribute("aria-expanded", "false");
+            return;
+          }
+          chapterPanel = document.createElement("div");
+          chapterPanel.className = "ep-panel chapter-panel";
+          row.after(chapterPanel);
+          chaptersBtn.setAttribute("aria-expanded", "true");
+          renderChapterPanel(
+            chapterPanel,
+            trackFromButton(row.querySelector(".action.play"))
+          );
+        });
+
+        row
+          .querySelector(".action.transcript")
+          .addEventListener("click", () => {
+            openTranscriptPanel(
+              trackFromButton(row.querySelector(".action.play"))
+            );
+          });
+
+        row
+          .querySelector(".action.mark-played")
+          .addEventListener("click", () => {
+            if (getProgress(eid)?.finished) markUnplayed(eid);
+            else markFinished(eid);
+            if (hidePlayed?.checked) renderSeason(season);
+            refreshProgressViews();
+          });
+        row
+          .querySelector(".action.reset-progress")
+          .addEventListener("click", () => {
+            resetProgress(eid);
+            refreshProgressViews();
+          });
+
+        const bookmarkList = document.createElement("ul");
+        bookmarkList.className = "bookmark-list";
+        bookmarkList.dataset.bookmarksFor = eid;
+        renderEpisodeBookmarks(bookmarkList);
+
         list.appendChild(row);
+        list.appendChild(bookmarkList);
       });
+      markPlayingRows();
+      refreshProgressViews();
+      refreshDownloadButtons();
     }
   } catch (e) {
+    if (e.offline) {
+      list.innerHTML = `<p class="muted">This show hasn't been saved for offline use yet. Open it once while online.</p>`;
+      return;
+    }
     list.innerHTML = `<p role="alert">Failed to load show: ${
       e.message || e
     }</p>`;
@@ -902,8 +2857,13 @@ export function renderFavourites() {
     toolbar.appendChild(resetBtn);
 
     resetBtn.addEventListener("click", () => {
-      if (confirm("Reset all listening progress for all episodes?")) {
+      if (
+        confirm(
+          "Reset all listening progress and play history for all episodes?"
+        )
+      ) {
         clearAllProgress();
+        clearHistory();
         render();
       }
     });
@@ -916,7 +2876,11 @@ export function renderFavourites() {
     );
     filterSel.innerHTML =
       `<option value="__all">All Shows</option>` +
-      shows.map((s) => `<option value="${s}">${s}</option>`).join("");
+      shows
+        .map(
+          (s) => `<option value="${escapeHtml(s)}">${escapeHtml(s)}</option>`
+        )
+        .join("");
   }
 
   function render() {
@@ -962,7 +2926,9 @@ export function renderFavourites() {
 
       sec.innerHTML = `
         <div class="group">
-          ${showTitle} <span class="count">(${items.length} episodes)</span>
+          ${escapeHtml(showTitle)}
+          <span class="count">(${items.length} episodes)</span>
+          <span data-new-for="${items[0].showId}"></span>
         </div>
         <div class="episode-list"></div>
       `;
@@ -979,25 +2945,30 @@ export function renderFavourites() {
 
         let actionsHtml;
         if (isEpisode) {
-          // Episode favourite -> real Play button
+          // Episode favourite -> real Play button + queue actions
+          const trackAttrs = `
+              data-episode-id="${f.id}"
+              data-audio-url="${audio}"
+              data-title="${escapeHtml(`${f.showTitle} — ${f.title}`)}"
+              data-subtitle="${escapeHtml(f.showTitle)}"
+              data-cover="${cover}"`;
           actionsHtml = `
-            ${renderHeartBtn(true)}
+            ${renderHeartBtn(true, f.id)}
             <button
               class="action play"
               type="button"
-              data-episode-id="${f.id}"
-              data-audio-url="${audio}"
-              data-title="${f.showTitle} — ${f.title}"
-              data-subtitle="${f.showTitle}"
+              ${trackAttrs}
             >
               Play
             </button>
+            ${renderQueueBtns(trackAttrs)}
+            ${renderDownloadBtn(trackAttrs)}
             <button class="action remove" type="button">Remove</button>
           `;
         } else {
           // Show-level favourite -> "Play" that opens the show
           actionsHtml = `
-    ${renderHeartBtn(true)}
+    ${renderHeartBtn(true, f.id)}
     <button
       class="action play"
       type="button"
@@ -1012,13 +2983,15 @@ export function renderFavourites() {
         row.innerHTML = `
           <img class="ep-cover" src="${cover}" alt="">
           <div>
-            <div class="ep-title">${f.title}</div>
+            <div class="ep-title">${escapeHtml(f.title)}</div>
             <div class="ep-summary">
               Added ${fmtDateTime(f.addedAt)}
             </div>
             <div class="ep-meta">
               <span class="muted">S${f.season} • E${f.episode}</span>
-              <span class="ep-progress"></span>
+              <span class="ep-progress" ${
+                isEpisode ? `data-progress-id="${f.id}"` : ""
+              }></span>
             </div>
           </div>
           <div class="actions">
@@ -1058,8 +3031,145 @@ export function renderFavourites() {
 
       container.appendChild(sec);
     }
+    markPlayingRows();
+    refreshDownloadButtons();
+    refreshNewBadges();
   }
 
+  // OPML export: show-level favourites are our subscriptions
+  $("#exportOpml")?.addEventListener("click", () => {
+    const shows = loadFavs()
+      .filter((f) => f.id.startsWith("show:"))
+      .map((f) => ({
+        showId: f.showId,
+        title: f.showTitle || f.title,
+        feedUrl: findFeed(f.showId)?.url,
+      }));
+    if (shows.length === 0) {
+      alert("No favourite shows to export yet. Heart a show first.");
+      return;
+    }
+    const appUrl = appBaseUrl();
+    const blob = new Blob([buildOpml(shows, { appUrl })], {
+      type: "text/x-opml",
+    });
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(blob);
+    a.download = "the-healing-mic-subscriptions.opml";
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 0);
+  });
+
+  // OPML import: parse, preview the matches, then add on confirm
+  const importInput = $("#importOpml");
+  const preview = $("#opmlPreview");
+  importInput?.addEventListener("change", async () => {
+    const file = importInput.files?.[0];
+    importInput.value = "";
+    if (!file || !preview) return;
+
+    preview.innerHTML = `
+      <div class="loading">
+        <div class="spinner"></div>
+        <p>Reading ${file.name}…</p>
+      </div>
+    `;
+
+    let matches;
+    try {
+      const entries = parseOpml(await file.text());
+      const previews = await fetchPreviews();
+      const subscribedIds = new Set(
+        loadFavs()
+          .filter((f) => f.id.startsWith("show:"))
+          .map((f) => String(f.showId))
+      );
+      matches = matchOpmlEntries(entries, { previews, subscribedIds });
+    } catch (e) {
+      preview.innerHTML = `<p role="alert">Import failed: ${
+        e.message || e
+      }</p>`;
+      return;
+    }
+
+    const toAdd = matches.filter((m) => m.action !== "skip");
+    const countLabel = `${toAdd.length} of ${matches.length} will be added`;
+    preview.innerHTML = `
+      <div class="import-preview">
+        <div class="group">
+          Import preview <span class="count">(${countLabel})</span>
+        </div>
+        <ul class="import-list"></ul>
+        <div class="toolbar">
+          <button class="btn" type="button" data-import="confirm" ${
+            toAdd.length ? "" : "disabled"
+          }>Add ${toAdd.length} show(s)</button>
+          <button class="btn" type="button" data-import="cancel">Cancel</button>
+        </div>
+      </div>
+    `;
+
+    const ul = preview.querySelector(".import-list");
+    matches.forEach((m) => {
+      const li = document.createElement("li");
+      li.className = m.action === "skip" ? "muted" : "";
+      li.textContent = `${m.action === "skip" ? "–" : "+"} ${
+        m.show?.title || m.entry.title || m.entry.xmlUrl
+      } — ${m.reason}`;
+      ul.appendChild(li);
+    });
+
+    preview
+      .querySelector('[data-import="cancel"]')
+      .addEventListener("click", () => {
+        preview.innerHTML = "";
+      });
+
+    preview
+      .querySelector('[data-import="confirm"]')
+      .addEventListener("click", async (ev) => {
+        ev.currentTarget.disabled = true;
+        const failed = [];
+
+        for (const m of toAdd) {
+          try {
+            const show =
+              m.action === "feed"
+                ? await subscribeFeed(m.entry.xmlUrl)
+                : m.show;
+            const showFavId = `show:${show.id}`;
+            if (!isFaved(showFavId)) {
+              toggleFav({
+                id: showFavId,
+                title: show.title,
+                showId: String(show.id),
+                showTitle: show.title,
+                season: 0,
+                episode: 0,
+                cover: show.image,
+              });
+            }
+          } catch (e) {
+            failed.push(`${m.entry.title || m.entry.xmlUrl} (${e.message})`);
+          }
+        }
+
+        preview.innerHTML = failed.length
+          ? `<p role="alert">Could not add: ${failed.join(", ")}</p>`
+          : "";
+        favs = loadFavs();
+        refreshFilter();
+        render();
+      });
+  });
+
+  // Let other tabs' favourite changes re-render this page
+  favouritesRefresh = () => {
+    favs = loadFavs();
+    refreshFilter();
+    render();
+  };
+
   sortSel.addEventListener("change", render);
   filterSel.addEventListener("change", render);
   clearBtn?.addEventListener("click", () => {
@@ -1074,3 +3184,408 @@ export function renderFavourites() {
   refreshFilter();
   render();
 }
+
+/* =========================
+   BOOKMARKS PAGE
+========================= */
+export function renderBookmarks() {
+  const container = $("#bookmarkContainer");
+  if (!container) return;
+
+  function render() {
+    const list = loadBookmarks();
+    container.innerHTML = "";
+    if (list.length === 0) {
+      container.innerHTML = `<p class="muted">No bookmarks yet. Press 🔖 Bookmark in the player while listening to save a moment.</p>`;
+      return;
+    }
+
+    // Group by show, then order by episode and time
+    const groups = new Map();
+    list
+      .slice()
+      .sort(
+        (a, b) =>
+          a.trackId.localeCompare(b.trackId, undefined, { numeric: true }) ||
+          a.t - b.t
+      )
+      .forEach((b) => {
+        const show = b.track.subtitle || "Other";
+        if (!groups.has(show)) groups.set(show, []);
+        groups.get(show).push(b);
+      });
+
+    [...groups.entries()]
+      .sort((a, b) => a[0].localeCompare(b[0]))
+      .forEach(([showTitle, items]) => {
+        const sec = document.createElement("section");
+        sec.innerHTML = `
+          <div class="group">
+            <a></a> <span class="count">(${items.length} bookmarks)</span>
+          </div>
+          <ul class="bookmark-list"></ul>
+        `;
+        const link = sec.querySelector(".group a");
+        link.textContent = showTitle;
+        link.href = `#/show/${showIdFromTrackId(items[0].trackId)}`;
+
+        const ul = sec.querySelector(".bookmark-list");
+        items.forEach((b) =>
+          ul.appendChild(renderBookmarkItem(b, { showEpisode: true }))
+        );
+        container.appendChild(sec);
+      });
+  }
+
+  // Re-render when bookmarks change here or in another tab
+  bookmarksRefresh = render;
+  render();
+}
+
+/* =========================
+   HISTORY PAGE
+========================= */
+
+/* "Today", "Yesterday" or a full date for a day heading */
+function dayLabel(ts) {
+  const day = new Date(ts).toDateString();
+  const today = new Date();
+  if (day === today.toDateString()) return "Today";
+  today.setDate(today.getDate() - 1);
+  if (day === today.toDateString()) return "Yesterday";
+  return new Date(ts).toLocaleDateString(undefined, {
+    weekday: "long",
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+  });
+}
+
+function fmtTime(ts) {
+  return new Date(ts).toLocaleTimeString(undefined, {
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+/**
+ * Render the History page: play sessions grouped by day, newest first,
+ * with resume/remove per entry and clearing by date range.
+ */
+export function renderHistory() {
+  const container = $("#historyContainer");
+  if (!container) return;
+  const fromInput = $("#historyFrom");
+  const toInput = $("#historyTo");
+
+  function render() {
+    const list = loadHistory()
+      .slice()
+      .sort((a, b) => b.startedAt - a.startedAt);
+
+    container.innerHTML = "";
+    if (list.length === 0) {
+      container.innerHTML = `<p class="muted">Nothing here yet. Episodes you listen to will show up in this timeline.</p>`;
+      return;
+    }
+
+    const days = new Map();
+    list.forEach((s) => {
+      const label = dayLabel(s.startedAt);
+      if (!days.has(label)) days.set(label, []);
+      days.get(label).push(s);
+    });
+
+    for (const [label, items] of days.entries()) {
+      const total = items.reduce((sum, s) => sum + s.listened, 0);
+      const sec = document.createElement("section");
+      sec.innerHTML = `
+        <div class="group">
+          ${label} <span class="count">(${fmtClock(total)} listened)</span>
+        </div>
+        <div class="episode-list"></div>
+      `;
+      const wrap = sec.querySelector(".episode-list");
+
+      items.forEach((s) => {
+        const row = document.createElement("div");
+        row.className = "episode-row";
+        row.innerHTML = `
+          <img class="ep-cover" src="${s.track.cover || ""}" alt="">
+          <div>
+            <div class="ep-title"></div>
+            <div class="ep-summary"></div>
+            <div class="ep-meta">
+              <span class="muted">
+                ${fmtTime(s.startedAt)}–${fmtTime(s.endedAt)} ·
+                ${fmtClock(s.listened)} listened
+              </span>
+              <span class="ep-progress" data-progress-id="${s.trackId}">
+                ${renderProgressPill(s.trackId)}
+              </span>
+            </div>
+          </div>
+          <div class="actions">
+            <button class="action resume" type="button">Resume</button>
+            <button class="action remove" type="button">Remove</button>
+          </div>
+        `;
+        // Titles come from feeds/the API: set them as text
+        row.querySelector(".ep-title").textContent = s.track.title;
+        row.querySelector(".ep-summary").textContent = s.track.subtitle;
+
+        row.querySelector(".action.resume").addEventListener("click", () => {
+          player.load(s.track, { startAt: loadProgress(s.trackId) });
+        });
+        row.querySelector(".action.remove").addEventListener("click", () => {
+          removeHistoryEntry(s.id);
+        });
+        wrap.appendChild(row);
+      });
+
+      container.appendChild(sec);
+    }
+  }
+
+  $("#clearHistoryRange")?.addEventListener("click", () => {
+    // Date inputs are local calendar days; include the whole "to" day
+    const from = fromInput?.value
+      ? new Date(`${fromInput.value}T00:00:00`).getTime()
+      : -Infinity;
+    const to = toInput?.value
+      ? new Date(`${toInput.value}T23:59:59.999`).getTime()
+      : Infinity;
+    if (from > to) {
+      alert("The start date is after the end date.");
+      return;
+    }
+    const count = loadHistory().filter(
+      (s) => s.startedAt >= from && s.startedAt <= to
+    ).length;
+    if (count === 0) {
+      alert("No history in that range.");
+      return;
+    }
+    const what =
+      from === -Infinity && to === Infinity
+        ? `all ${count} entries`
+        : `${count} entries in that range`;
+    if (confirm(`Remove ${what} from your history?`)) clearHistory(from, to);
+  });
+
+  historyRefresh = render;
+  render();
+}
+
+/* =========================
+   DOWNLOADS PAGE
+========================= */
+
+/**
+ * Render the Downloads page: storage usage, downloaded episodes with
+ * play/delete, and bulk delete of the selected (or all) downloads.
+ */
+export function renderDownloads() {
+  const container = $("#downloadsContainer");
+  const usageEl = $("#downloadsUsage");
+  const selectAll = $("#downloadsSelectAll");
+  const deleteSelected = $("#deleteSelectedDownloads");
+  const deleteAll = $("#deleteAllDownloads");
+  if (!container) return;
+
+  function selectedIds() {
+    return [...container.querySelectorAll("input[data-select]:checked")].map(
+      (box) => box.dataset.select
+    );
+  }
+
+  function updateBulkButtons() {
+    const count = selectedIds().length;
+    if (deleteSelected) {
+      deleteSelected.disabled = count === 0;
+      deleteSelected.textContent = count
+        ? `Delete selected (${count})`
+        : "Delete selected";
+    }
+  }
+
+  async function renderUsage() {
+    if (!usageEl) return;
+    const { downloads, usage, quota } = await storageUsage();
+    usageEl.textContent =
+      usage != null && quota
+        ? `Downloads use ${fmtBytes(downloads)} · app storage ${fmtBytes(
+            usage
+          )} of ${fmtBytes(quota)} available`
+        : `Downloads use ${fmtBytes(downloads)}`;
+  }
+
+  function render() {
+    const list = listDownloads();
+    container.innerHTML = "";
+    if (selectAll) selectAll.checked = false;
+    if (deleteAll) deleteAll.disabled = list.length === 0;
+    renderUsage();
+    updateBulkButtons();
+
+    if (!downloadsSupported()) {
+      container.innerHTML = `<p class="muted">This browser can't store episodes for offline listening.</p>`;
+      return;
+    }
+    if (list.length === 0) {
+      container.innerHTML = `<p class="muted">No downloads yet. Use Download on an episode to listen offline.</p>`;
+      return;
+    }
+
+    list.forEach((d) => {
+      const { track } = d;
+      const row = document.createElement("div");
+      row.className = "episode-row download-row";
+      row.innerHTML = `
+        <input type="checkbox" data-select="${d.id}" aria-label="Select" />
+        <img class="ep-cover" src="${track.cover || ""}" alt="">
+        <div>
+          <div class="ep-title"></div>
+          <div class="ep-meta">
+            <span class="muted show-name"></span>
+            <span class="muted">${fmtBytes(d.size)} · ${fmtDate(
+        d.downloadedAt
+      )}</span>
+          </div>
+        </div>
+        <div class="actions">
+          <button
+            class="action play"
+            type="button"
+            data-episode-id="${d.id}"
+            data-audio-url="${track.src}"
+            data-title="${escapeHtml(track.title)}"
+            data-subtitle="${escapeHtml(track.subtitle)}"
+            data-cover="${track.cover || ""}"
+          >
+            Play
+          </button>
+          <button class="action remove" type="button">Delete</button>
+        </div>
+      `;
+      // Feed text: set as text, not HTML
+      row.querySelector(".ep-title").textContent = track.title;
+      row.querySelector(".show-name").textContent = track.subtitle;
+      row
+        .querySelector("input[data-select]")
+        .addEventListener("change", updateBulkButtons);
+      row.querySelector(".action.remove").addEventListener("click", () => {
+        deleteDownload(d.id);
+      });
+      container.appendChild(row);
+    });
+    markPlayingRows();
+  }
+
+  selectAll?.addEventListener("change", () => {
+    container.querySelectorAll("input[data-select]").forEach((box) => {
+      box.checked = selectAll.checked;
+    });
+    updateBulkButtons();
+  });
+
+  deleteSelected?.addEventListener("click", () => {
+    const ids = selectedIds();
+    if (ids.length && confirm(`Delete ${ids.length} download(s)?`)) {
+      deleteDownloads(ids);
+    }
+  });
+
+  deleteAll?.addEventListener("click", () => {
+    const ids = listDownloads().map((d) => d.id);
+    if (ids.length && confirm("Delete all downloaded episodes?")) {
+      deleteDownloads(ids);
+    }
+  });
+
+  // Re-render when downloads change here or in another tab
+  downloadsRefresh = render;
+  render();
+}
+
+/* =========================
+   INBOX PAGE
+========================= */
+
+/**
+ * Render the Inbox page: new episodes of favourited shows, grouped by
+ * show, with play/queue actions and "mark seen".
+ */
+export function renderInbox() {
+  const container = $("#inboxContainer");
+  const markAll = $("#markAllSeen");
+  if (!container) return;
+
+  function render() {
+    const groups = loadInbox();
+    container.innerHTML = "";
+    if (markAll) markAll.disabled = groups.length === 0;
+    if (groups.length === 0) {
+      container.innerHTML = `<p class="muted">No new episodes. Favourite a show (♥) and new episodes will show up here.</p>`;
+      return;
+    }
+
+    groups.forEach(({ showId, showTitle, episodes }) => {
+      const sec = document.createElement("section");
+      sec.innerHTML = `
+        <div class="group">
+          <a href="#/show/${showId}"></a>
+          <span class="count">(${episodes.length} new)</span>
+          <button class="btn" type="button" data-seen>Mark seen</button>
+        </div>
+        <div class="episode-list"></div>
+      `;
+      sec.querySelector(".group a").textContent = showTitle;
+      sec
+        .querySelector("[data-seen]")
+        .addEventListener("click", () => markShowSeen(showId));
+
+      const wrap = sec.querySelector(".episode-list");
+      episodes.forEach((ep) => {
+        const trackAttrs = `
+              data-episode-id="${ep.id}"
+              data-audio-url="${ep.src}"
+              data-title="${escapeHtml(ep.title)}"
+              data-subtitle="${escapeHtml(ep.subtitle)}"
+              data-cover="${ep.cover}"`;
+        const row = document.createElement("div");
+        row.className = "episode-row";
+        row.innerHTML = `
+          <img class="ep-cover" src="${ep.cover}" alt="">
+          <div>
+            <div class="ep-title"></div>
+            <div class="ep-meta">
+              <span class="muted">Found ${fmtDate(ep.foundAt)}</span>
+              <span class="ep-progress" data-progress-id="${ep.id}"></span>
+            </div>
+          </div>
+          <div class="actions">
+            <button class="action play" type="button" ${trackAttrs}>
+              Play
+            </button>
+            ${renderQueueBtns(trackAttrs)}
+            ${renderDownloadBtn(trackAttrs)}
+          </div>
+        `;
+        // Feed text: set as text, not HTML
+        row.querySelector(".ep-title").textContent = ep.title;
+        wrap.appendChild(row);
+      });
+      container.appendChild(sec);
+    });
+    markPlayingRows();
+    refreshProgressViews();
+    refreshDownloadButtons();
+  }
+
+  markAll?.addEventListener("click", () => markAllSeen());
+
+  // Re-render when the inbox changes here or in another tab
+  inboxRefresh = render;
+  render();
+}
@@ -0,0 +1,156 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  bindMediaSession,
+  publishMediaMetadata,
+  updatePositionState,
+} from "./app.js";
+
+/* Records what the app hands to navigator.mediaSession */
+function fakeMediaSession() {
+  return {
+    metadata: undefined,
+    handlers: {},
+    positions: [],
+    setActionHandler(action, fn) {
+      this.handlers[action] = fn;
+    },
+    setPositionState(state) {
+      this.positions.push(state);
+    },
+  };
+}
+
+beforeEach(() => {
+  vi.stubGlobal("navigator", { mediaSession: fakeMediaSession() });
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe("publishMediaMetadata", () => {
+  it("publishes title, show and artwork", () => {
+    publishMediaMetadata(navigator.mediaSession, {
+      title: "S1E1 — Pilot",
+      subtitle: "Test Show",
+      cover: "https://example.com/cover.jpg",
+    });
+
+    expect(navigator.mediaSession.metadata).toEqual({
+      title: "S1E1 — Pilot",
+      artist: "Test Show",
+      album: "The Healing Mic",
+      artwork: [{ src: "https://example.com/cover.jpg" }],
+    });
+  });
+
+  it("wraps the data in MediaMetadata where the browser has it", () => {
+    vi.stubGlobal(
+      "MediaMetadata",
+      class {
+        constructor(data) {
+          Object.assign(this, data);
+        }
+      }
+    );
+
+    publishMediaMetadata(navigator.mediaSession, { title: "S1E1 — Pilot" });
+
+    expect(navigator.mediaSession.metadata).toBeInstanceOf(MediaMetadata);
+    expect(navigator.mediaSession.metadata).toMatchObject({
+      title: "S1E1 — Pilot",
+      artist: "",
+      artwork: [],
+    });
+  });
+
+  it("clears the metadata when nothing is playing", () => {
+    publishMediaMetadata(navigator.mediaSession, { title: "S1E1 — Pilot" });
+    publishMediaMetadata(navigator.mediaSession, null);
+
+    expect(navigator.mediaSession.metadata).toBeNull();
+  });
+});
+
+describe("bindMediaSession", () => {
+  it("routes actions to the player controls", () => {
+    const controls = {
+      play: vi.fn(),
+      pause: vi.fn(),
+      seekBy: vi.fn(),
+      seekTo: vi.fn(),
+      previous: vi.fn(),
+      next: vi.fn(),
+    };
+    bindMediaSession(navigator.mediaSession, controls);
+    const { handlers } = navigator.mediaSession;
+
+    handlers.play();
+    handlers.pause();
+    handlers.seekto({ seekTime: 42 });
+    handlers.previoustrack();
+    handlers.nexttrack();
+    handlers.seekbackward({});
+    handlers.seekforward({ seekOffset: 30 });
+
+    expect(controls.play).toHaveBeenCalledOnce();
+    expect(controls.pause).toHaveBeenCalledOnce();
+    expect(controls.seekTo).toHaveBeenCalledWith(42);
+    expect(controls.previous).toHaveBeenCalledOnce();
+    expect(controls.next).toHaveBeenCalledOnce();
+    expect(controls.seekBy.mock.calls).toEqual([[-10], [30]]);
+  });
+
+  it("skips actions the browser does not support", () => {
+    const session = navigator.mediaSession;
+    session.setActionHandler = function (action, fn) {
+      if (action === "seekto") throw new TypeError("not supported");
+      this.handlers[action] = fn;
+    };
+
+    bindMediaSession(session, {});
+
+    expect(Object.keys(session.handlers)).toContain("nexttrack");
+    expect(session.handlers.seekto).toBeUndefined();
+  });
+});
+
+describe("updatePositionState", () => {
+  it("clamps the position to the duration", () => {
+    updatePositionState(navigator.mediaSession, {
+      duration: 100,
+      currentTime: 100.4,
+      playbackRate: 1.5,
+    });
+
+    expect(navigator.mediaSession.positions).toEqual([
+      { duration: 100, playbackRate: 1.5, position: 100 },
+    ]);
+  });
+
+  it("waits for a finite duration", () => {
+    updatePositionState(navigator.mediaSession, {
+      duration: NaN,
+      currentTime: 0,
+    });
+    updatePositionState(navigator.mediaSession, {
+      duration: Infinity,
+      currentTime: 5,
+    });
+
+    expect(navigator.mediaSession.positions).toEqual([]);
+  });
+
+  it("ignores states the browser rejects", () => {
+    navigator.mediaSession.setPositionState = () => {
+      throw new TypeError("invalid state");
+    };
+
+    expect(() =>
+      updatePositionState(navigator.mediaSession, {
+        duration: 100,
+        currentTime: 5,
+      })
+    ).not.toThrow();
+  });
+});
@@ -0,0 +1,494 @@
+/**
+ * backup.js — Backup, restore and schema migrations for local data.
+ *
+ * Responsibilities:
+ * - Describe every persisted localStorage key in one registry (BACKUP_KEYS),
+ *   with a validator and a merge strategy per key.
+ * - Export all keys into a single versioned JSON backup file.
+ * - Validate a backup and restore it by merging or replacing.
+ * - Run registered migrations on startup (and on older backups), so the
+ *   storage format can evolve without wiping users' libraries.
+ */
+
+const SCHEMA_KEY = "earbuzz:schema";
+const BACKUP_APP = "the-healing-mic";
+
+/* =========================
+   KEY REGISTRY
+========================= */
+
+const isArray = (v) => Array.isArray(v);
+const isObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+const isString = (v) => typeof v === "string";
+const isNumber = (v) => typeof v === "number" && Number.isFinite(v);
+
+/* Record shapes the app's readers rely on */
+const isTrack = (v) =>
+  isObject(v) && isString(v.id) && isString(v.title) && isString(v.src);
+const isFav = (v) =>
+  isObject(v) &&
+  isString(v.id) &&
+  isString(v.title) &&
+  isString(v.showId) &&
+  isString(v.showTitle);
+const isProgressEntry = (v) =>
+  isObject(v) && isNumber(v.t) && (v.track === undefined || isTrack(v.track));
+const isFeed = (v) => isObject(v) && isString(v.id) && isString(v.url);
+const isBookmark = (v) =>
+  isObject(v) &&
+  isString(v.id) &&
+  isString(v.trackId) &&
+  isNumber(v.t) &&
+  isTrack(v.track);
+const isSession = (v) =>
+  isObject(v) &&
+  isString(v.id) &&
+  isString(v.trackId) &&
+  isNumber(v.startedAt) &&
+  isTrack(v.track);
+const isTimedList = (v) =>
+  isArray(v) && v.every((x) => isObject(x) && isNumber(x.start));
+const isKeyList = (v) => isArray(v) && v.every(isString);
+const isInboxEntry = (v) =>
+  isObject(v) &&
+  isArray(v.knownIds) &&
+  isArray(v.fresh) &&
+  v.fresh.every(isTrack);
+
+/* Merge two lists of records by `id`, keeping the current copy on conflict */
+function mergeById(current = [], incoming = []) {
+  const ids = new Set(current.map((x) => x.id));
+  return [...current, ...incoming.filter((x) => !ids.has(x.id))];
+}
+
+/* Merge progress maps, keeping whichever entry is further along */
+function mergeProgress(current = {}, incoming = {}) {
+  const out = { ...current };
+  for (const [id, p] of Object.entries(incoming)) {
+    const prev = out[id];
+    if (
+      !prev ||
+      (p.finished && !prev.finished) ||
+      (!prev.finished && (p.t ?? 0) > (prev.t ?? 0))
+    ) {
+      out[id] = p;
+    }
+  }
+  return out;
+}
+
+/* Merge per-show speeds, keeping this device's default and choices */
+function mergeSpeed(current = {}, incoming = {}) {
+  return {
+    default: current.default ?? incoming.default,
+    shows: { ...(incoming.shows || {}), ...(current.shows || {}) },
+  };
+}
+
+/* Single-value keys: keep what this device already has */
+const keepCurrent = (current, incoming) => current ?? incoming;
+
+/**
+ * BackupKey {
+ *  key: string;                        // localStorage key
+ *  json: boolean;                      // stored as JSON (else raw string)
+ *  valid(value): boolean;              // shape check used on restore
+ *  record?(item): boolean;             // per array item / map value; others
+ *                                      // are dropped on restore
+ *  merge(current, incoming): any;      // strategy for "merge" restores
+ * }
+ *
+ * "earbuzz:downloads:v1" is left out on purpose: it indexes audio cached on
+ * this device, which a backup does not carry.
+ */
+export const BACKUP_KEYS = [
+  {
+    key: "earbuzz:favs:v1",
+    json: true,
+    valid: isArray,
+    record: isFav,
+    merge: mergeById,
+  },
+  {
+    key: "earbuzz:progress:v1",
+    json: true,
+    valid: isObject,
+    record: isProgressEntry,
+    merge: mergeProgress,
+  },
+  {
+    key: "earbuzz:lastTrack:v1",
+    json: true,
+    valid: isTrack,
+    merge: keepCurrent,
+  },
+  { key: "earbuzz:theme", json: false, valid: isString, merge: keepCurrent },
+  {
+    key: "earbuzz:queue:v1",
+    json: true,
+    valid: isArray,
+    record: isTrack,
+    merge: mergeById,
+  },
+  {
+    key: "earbuzz:feeds:v1",
+    json: true,
+    valid: isArray,
+    record: isFeed,
+    merge: mergeById,
+  },
+  {
+    key: "earbuzz:bookmarks:v1",
+    json: true,
+    valid: isArray,
+    record: isBookmark,
+    merge: mergeById,
+  },
+  {
+    key: "earbuzz:history:v1",
+    json: true,
+    valid: isArray,
+    record: isSession,
+    merge: (current, incoming) =>
+      mergeById(current, incoming).sort((a, b) => a.startedAt - b.startedAt),
+  },
+  { key: "earbuzz:speed:v1", json: true, valid: isObject, merge: mergeSpeed },
+  {
+    key: "earbuzz:chapters:v1",
+    json: true,
+    valid: isObject,
+    record: isTimedList,
+    merge: (current, incoming) => ({ ...incoming, ...current }),
+  },
+  {
+    key: "earbuzz:transcripts:v1",
+    json: true,
+    valid: isObject,
+    record: isTimedList,
+    merge: (current, incoming) => ({ ...incoming, ...current }),
+  },
+  {
+    key: "earbuzz:shortcuts:v1",
+    json: true,
+    valid: isObject,
+    record: isKeyList,
+    merge: keepCurrent,
+  },
+  {
+    key: "earbuzz:inbox:v1",
+    json: true,
+    valid: isObject,
+    record: isInboxEntry,
+    merge: (current, incoming) => ({ ...incoming, ...current }),
+  },
+  {
+    key: "earbuzz:notify:v1",
+    json: false,
+    valid: isString,
+    merge: keepCurrent,
+  },
+];
+
+/* =========================
+   STORES
+========================= */
+
+/* A minimal key/value view over localStorage with JSON decoding */
+function localStore() {
+  const spec = (key) => BACKUP_KEYS.find((k) => k.key === key);
+  return {
+    get(key) {
+      const raw = localStorage.getItem(key);
+      if (raw == null) return undefined;
+      if (spec(key)?.json === false) return raw;
+      try {
+        return JSON.parse(raw);
+      } catch {
+        return undefined;
+      }
+    },
+    set(key, value) {
+      localStorage.setItem(
+        key,
+        spec(key)?.json === false ? String(value) : JSON.stringify(value)
+      );
+    },
+    remove(key) {
+      localStorage.removeItem(key);
+    },
+  };
+}
+
+/* The same view over the `data` object of a backup file */
+function memoryStore(data) {
+  return {
+    get: (key) => data[key],
+    set: (key, value) => {
+      data[key] = value;
+    },
+    remove: (key) => {
+      delete data[key];
+    },
+  };
+}
+
+/* =========================
+   MIGRATIONS
+========================= */
+
+/**
+ * Migration {
+ *  to: number;                      // schema version after this step
+ *  description: string;
+ *  up(store): void;                 // store: { get, set, remove }
+ * }
+ *
+ * Migrations must be idempotent and only touch keys they know about.
+ * To move a key to v2, add a step that reads the v1 key, writes the v2
+ * key, removes the v1 key, and update BACKUP_KEYS. Keep the list sorted
+ * by `to`; SCHEMA_VERSION follows the last step.
+ */
+const MIGRATIONS = [
+  {
+    to: 1,
+    description: "Normalise favourites and progress records",
+    up(store) {
+      const favs = store.get("earbuzz:favs:v1");
+      if (Array.isArray(favs)) {
+        store.set(
+          "earbuzz:favs:v1",
+          favs
+            .filter((f) => f && typeof f.id === "string")
+            .map((f) => ({
+              ...f,
+              showId: String(f.showId ?? ""),
+              season: Number(f.season) || 0,
+              episode: Number(f.episode) || 0,
+              addedAt: Number(f.addedAt) || Date.now(),
+            }))
+        );
+      }
+
+      const prog = store.get("earbuzz:progress:v1");
+      if (isObject(prog)) {
+        const clean = {};
+        for (const [id, p] of Object.entries(prog)) {
+          if (!isObject(p)) continue;
+          clean[id] = {
+            ...p,
+            t: Number(p.t) || 0,
+            finished: !!p.finished,
+            duration: Number(p.duration) || 0,
+          };
+        }
+        store.set("earbuzz:progress:v1", clean);
+      }
+    },
+  },
+];
+
+/** Current storage schema version: where the last migration ends. */
+export const SCHEMA_VERSION = Math.max(0, ...MIGRATIONS.map((m) => m.to));
+
+function migrate(store, fromVersion) {
+  let version = fromVersion;
+  for (const m of MIGRATIONS) {
+    if (m.to <= version) continue;
+    m.up(store);
+    version = m.to;
+  }
+  return version;
+}
+
+/**
+ * Upgrade localStorage to the current schema. Call once on startup,
+ * before anything reads user data.
+ *
+ * @returns {number} schema version after migrating
+ */
+export function runMigrations() {
+  const from = Number(localStorage.getItem(SCHEMA_KEY)) || 0;
+  if (from >= SCHEMA_VERSION) return from;
+  try {
+    const version = migrate(localStore(), from);
+    localStorage.setItem(SCHEMA_KEY, String(version));
+    return version;
+  } catch (err) {
+    // Leave the data untouched so a fixed build can retry
+    console.error("Storage migration failed", err);
+    return from;
+  }
+}
+
+/* =========================
+   BACKUP / RESTORE
+========================= */
+
+/**
+ * Collect every registered key into a backup object.
+ *
+ * @returns {{ app: string, schemaVersion: number, exportedAt: string, data: Object }}
+ */
+export function createBackup() {
+  const store = localStore();
+  const data = {};
+  BACKUP_KEYS.forEach(({ key }) => {
+    const value = store.get(key);
+    if (value !== undefined) data[key] = value;
+  });
+  return {
+    app: BACKUP_APP,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    data,
+  };
+}
+
+/* Keep the items of an array, or the values of a map, that pass `record` */
+function keepRecords(value, record) {
+  if (Array.isArray(value)) {
+    const kept = value.filter((item) => record(item));
+    return { kept, dropped: value.length - kept.length };
+  }
+  const kept = {};
+  let dropped = 0;
+  Object.entries(value).forEach(([id, item]) => {
+    if (record(item)) kept[id] = item;
+    else dropped++;
+  });
+  return { kept, dropped };
+}
+
+/**
+ * Validate a parsed backup file and bring it up to the current schema.
+ * Unknown keys are ignored. A key of the wrong type rejects the whole file;
+ * malformed records inside a list are reported and dropped.
+ *
+ * @param {any} backup
+ * @returns {{ data: Object, warnings: string[] }}
+ * @throws {Error} when the file is not a usable backup
+ */
+export function validateBackup(backup) {
+  if (!isObject(backup) || backup.app !== BACKUP_APP) {
+    throw new Error("This is not a The Healing Mic backup file");
+  }
+  const version = Number(backup.schemaVersion);
+  if (!Number.isInteger(version) || version < 0) {
+    throw new Error("Backup has no valid schemaVersion");
+  }
+  if (version > SCHEMA_VERSION) {
+    throw new Error(
+      `Backup is from a newer version (schema ${version}); please update the app`
+    );
+  }
+  if (!isObject(backup.data)) {
+    throw new Error("Backup has no data");
+  }
+
+  const data = structuredClone(backup.data);
+  migrate(memoryStore(data), version);
+
+  const warnings = [];
+  const clean = {};
+  BACKUP_KEYS.forEach(({ key, valid, record }) => {
+    if (!(key in data)) return;
+    if (!valid(data[key])) {
+      throw new Error(`Backup has an invalid value for ${key}`);
+    }
+    if (!record) {
+      clean[key] = data[key];
+      return;
+    }
+    const { kept, dropped } = keepRecords(data[key], record);
+    if (dropped) {
+      warnings.push(`Skipped ${dropped} invalid record(s) in ${key}`);
+    }
+    clean[key] = kept;
+  });
+  return { data: clean, warnings };
+}
+
+/**
+ * Restore a validated backup into localStorage.
+ *
+ * @param {Object} data validated `data` from validateBackup()
+ * @param {"merge"|"replace"} mode
+ *   merge: combine with what is already stored; replace: overwrite every key
+ */
+export function restoreBackup(data, mode = "merge") {
+  const store = localStore();
+  BACKUP_KEYS.forEach(({ key, merge }) => {
+    if (mode === "replace") {
+      if (key in data) store.set(key, data[key]);
+      else store.remove(key);
+      return;
+    }
+    if (!(key in data)) return;
+    const current = store.get(key);
+    store.set(
+      key,
+      current === undefined ? data[key] : merge(current, data[key])
+    );
+  });
+  localStorage.setItem(SCHEMA_KEY, String(SCHEMA_VERSION));
+}
+
+/* =========================
+   SETTINGS PAGE: YOUR DATA
+========================= */
+
+/**
+ * Wire the backup/restore controls on the Settings page.
+ */
+export function renderBackupControls() {
+  const exportBtn = document.querySelector("#exportBackup");
+  const input = document.querySelector("#importBackup");
+  const status = document.querySelector("#backupStatus");
+  if (!exportBtn || !input) return;
+
+  const say = (msg) => {
+    if (status) status.textContent = msg;
+  };
+
+  exportBtn.addEventListener("click", () => {
+    const blob = new Blob([JSON.stringify(createBackup(), null, 2)], {
+      type: "application/json",
+    });
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(blob);
+    a.download = `the-healing-mic-backup-${new Date()
+      .toISOString()
+      .slice(0, 10)}.json`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 0);
+    say("Backup downloaded.");
+  });
+
+  input.addEventListener("change", async () => {
+    const file = input.files?.[0];
+    input.value = "";
+    if (!file) return;
+
+    let result;
+    try {
+      result = validateBackup(JSON.parse(await file.text()));
+    } catch (e) {
+      say(`Restore failed: ${e.message || e}`);
+      return;
+    }
+
+    const mode =
+      document.querySelector('input[name="restoreMode"]:checked')?.value ||
+      "merge";
+    const keys = Object.keys(result.data).length;
+    const question =
+      mode === "replace"
+        ? `Replace ALL local data with ${keys} item(s) from ${file.name}?`
+        : `Merge ${keys} item(s) from ${file.name} into your library?`;
+    if (!confirm(question)) return;
+
+    restoreBackup(result.data, mode);
+    say(["Restore complete. Reloading…", ...result.warnings].join(" ").trim());
+    setTimeout(() => window.location.reload(), 600);
+  });
+}
@@ -0,0 +1,90 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { SCHEMA_VERSION, restoreBackup, validateBackup } from "./backup.js";
+
+function fakeStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+}
+
+function backup(data) {
+  return { app: "the-healing-mic", schemaVersion: SCHEMA_VERSION, data };
+}
+
+const track = {
+  id: "42:1:1",
+  title: "S1E1 — Pilot",
+  subtitle: "Test Show",
+  src: "https://example.com/1.mp3",
+};
+
+const fav = {
+  id: "42:1:1",
+  title: "S1E1 — Pilot",
+  showId: "42",
+  showTitle: "Test Show",
+  season: 1,
+  episode: 1,
+  addedAt: 1,
+};
+
+const session = {
+  id: "s1",
+  trackId: "42:1:1",
+  track,
+  startedAt: 1,
+  endedAt: 2,
+  listened: 1,
+};
+
+beforeEach(() => {
+  vi.stubGlobal("localStorage", fakeStorage());
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe("validateBackup", () => {
+  it("drops malformed records and reports them", () => {
+    const { data, warnings } = validateBackup(
+      backup({
+        "earbuzz:favs:v1": [{}, fav],
+        "earbuzz:history:v1": [{ ...session, track: undefined }, session],
+        "earbuzz:progress:v1": { "42:1:1": { t: 12 }, "42:1:2": "soon" },
+      })
+    );
+
+    expect(data["earbuzz:favs:v1"]).toEqual([fav]);
+    expect(data["earbuzz:history:v1"]).toEqual([session]);
+    expect(data["earbuzz:progress:v1"]).toEqual({ "42:1:1": { t: 12 } });
+    expect(warnings).toEqual([
+      "Skipped 1 invalid record(s) in earbuzz:favs:v1",
+      "Skipped 1 invalid record(s) in earbuzz:progress:v1",
+      "Skipped 1 invalid record(s) in earbuzz:history:v1",
+    ]);
+  });
+
+  it("rejects a file whose key has the wrong shape", () => {
+    expect(() =>
+      validateBackup(backup({ "earbuzz:favs:v1": { id: "42:1:1" } }))
+    ).toThrow("Backup has an invalid value for earbuzz:favs:v1");
+    expect(() =>
+      validateBackup(backup({ "earbuzz:lastTrack:v1": { id: "42:1:1" } }))
+    ).toThrow("Backup has an invalid value for earbuzz:lastTrack:v1");
+  });
+});
+
+describe("restoreBackup", () => {
+  it("only writes the records that passed validation", () => {
+    const { data } = validateBackup(
+      backup({ "earbuzz:favs:v1": [{ id: 7 }, fav] })
+    );
+    restoreBackup(data, "replace");
+
+    expect(JSON.parse(localStorage.getItem("earbuzz:favs:v1"))).toEqual([fav]);
+  });
+});
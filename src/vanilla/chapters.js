@@ -0,0 +1,341 @@
+/**
+ * chapters.js — Episode chapters for The Healing Mic.
+ *
+ * Responsibilities:
+ * - Parse Podcasting 2.0 JSON chapters and ID3v2 CHAP frames.
+ * - Load chapters for a track from a JSON URL, the audio file's ID3 tag,
+ *   or a file the user uploads (JSON or MP3), and cache the result.
+ * - Persist user-provided chapters so they survive reloads.
+ *
+ * Chapter { start: number; title: string; url?: string; img?: string }
+ * (start in seconds, list sorted by start)
+ */
+
+const CHAPTERS_KEY = "earbuzz:chapters:v1";
+/** { [trackId]: Chapter[] } — chapters the user loaded by URL or file */
+
+/* Read at most this much of an audio file when looking for an ID3 tag */
+const ID3_MAX_BYTES = 2 * 1024 * 1024;
+/* First request for an ID3 tag; most tags without cover art fit */
+const ID3_HEAD_BYTES = 64 * 1024;
+
+/* Chapters resolved this session (including empty results), by track id */
+const cache = new Map();
+
+/* =========================
+   PARSING
+========================= */
+
+function normalise(list) {
+  return list
+    .filter((c) => c && isFinite(c.start) && c.start >= 0)
+    .map((c, i) => ({
+      start: Number(c.start),
+      title: String(c.title || `Chapter ${i + 1}`).trim(),
+      ...(c.url ? { url: String(c.url) } : {}),
+      ...(c.img ? { img: String(c.img) } : {}),
+    }))
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Parse Podcasting 2.0 JSON chapters (`{ version, chapters: [...] }`).
+ * Chapters flagged `toc: false` are skipped.
+ *
+ * @param {Object|string} json
+ * @returns {Array<Object>} Chapter[]
+ */
+export function parseChaptersJson(json) {
+  const data = typeof json === "string" ? JSON.parse(json) : json;
+  if (!data || !Array.isArray(data.chapters)) {
+    throw new Error("Not a Podcasting 2.0 chapters file");
+  }
+  return normalise(
+    data.chapters
+      .filter((c) => c.toc !== false)
+      .map((c) => ({
+        start: Number(c.startTime),
+        title: c.title,
+        url: c.url,
+        img: c.img,
+      }))
+  );
+}
+
+function synchsafe(b, i) {
+  return (b[i] << 21) | (b[i + 1] << 14) | (b[i + 2] << 7) | b[i + 3];
+}
+
+function uint32(b, i) {
+  return ((b[i] << 24) | (b[i + 1] << 16) | (b[i + 2] << 8) | b[i + 3]) >>> 0;
+}
+
+function decodeText(bytes) {
+  const enc = bytes[0];
+  const body = bytes.subarray(1);
+  const label =
+    enc === 1
+      ? "utf-16"
+      : enc === 2
+      ? "utf-16be"
+      : enc === 3
+      ? "utf-8"
+      : "latin1";
+  return new TextDecoder(label).decode(body).replace(/\0+$/, "");
+}
+
+/* Walk ID3v2 frames in `b[from..to)`, calling fn(id, body) for each */
+function eachFrame(b, from, to, major, fn) {
+  let i = from;
+  while (i + 10 <= to) {
+    const id = String.fromCharCode(b[i], b[i + 1], b[i + 2], b[i + 3]);
+    if (!/^[A-Z0-9]{4}$/.test(id)) break; // padding
+    const size = major === 4 ? synchsafe(b, i + 4) : uint32(b, i + 4);
+    const start = i + 10;
+    if (size <= 0 || start + size > to) break;
+    fn(id, b.subarray(start, start + size));
+    i = start + size;
+  }
+}
+
+/**
+ * Parse ID3v2.3/2.4 CHAP frames from the start of an audio file.
+ *
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {Array<Object>} Chapter[] (empty when there is no tag or no CHAP)
+ */
+export function parseId3Chapters(buffer) {
+  const b = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  if (b.length < 10 || b[0] !== 0x49 || b[1] !== 0x44 || b[2] !== 0x33) {
+    return [];
+  }
+  const major = b[3];
+  if (major !== 3 && major !== 4) return [];
+
+  const flags = b[5];
+  const end = Math.min(b.length, 10 + synchsafe(b, 6));
+  let start = 10;
+  if (flags & 0x40) {
+    // Skip the extended header
+    start += major === 4 ? synchsafe(b, 10) : uint32(b, 10) + 4;
+  }
+
+  const chapters = [];
+  eachFrame(b, start, end, major, (id, body) => {
+    if (id !== "CHAP") return;
+    const zero = body.indexOf(0);
+    if (zero < 0 || zero + 17 > body.length) return;
+    const startMs = uint32(body, zero + 1);
+
+    let title = "";
+    let url = "";
+    eachFrame(body, zero + 17, body.length, major, (sub, subBody) => {
+      if (sub === "TIT2") title = decodeText(subBody);
+      if (sub === "WXXX") url = decodeText(subBody).split("\0").pop();
+    });
+    chapters.push({ start: startMs / 1000, title, url });
+  });
+
+  return normalise(chapters);
+}
+
+/**
+ * Parse an uploaded chapters file: JSON chapters or an MP3 with CHAP frames.
+ *
+ * @param {File|Blob} file
+ * @returns {Promise<Array<Object>>} Chapter[]
+ */
+export async function parseChaptersFile(file) {
+  const isJson =
+    /json/.test(file.type || "") || /\.json$/i.test(file.name || "");
+  if (isJson) return parseChaptersJson(await file.text());
+
+  const chapters = parseId3Chapters(
+    await file.slice(0, ID3_MAX_BYTES).arrayBuffer()
+  );
+  if (!chapters.length) throw new Error("No chapters found in this file");
+  return chapters;
+}
+
+/* =========================
+   LOADING + STORAGE
+========================= */
+
+function readStored() {
+  try {
+    const raw = localStorage.getItem(CHAPTERS_KEY);
+    const map = raw ? JSON.parse(raw) : {};
+    return map && typeof map === "object" ? map : {};
+  } catch {
+    return {};
+  }
+}
+
+/*
+ * Read bytes [from, to] of an audio URL with a Range request. Servers that
+ * ignore Range answer with the whole file, so the body is cut off either way.
+ */
+async function fetchBytes(src, from, to, signal) {
+  const res = await fetch(src, {
+    signal,
+    headers: { Range: `bytes=${from}-${to}` },
+  });
+  if (!res.ok || !res.body) return new Uint8Array(0);
+  const skip = res.status === 206 ? 0 : from;
+  const want = skip + (to - from + 1);
+  const reader = res.body.getReader();
+  const chunks = [];
+  let length = 0;
+
+  try {
+    while (length < want) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      length += value.length;
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+  return concat(chunks, length).subarray(skip, want);
+}
+
+/* Read the ID3 tag at the start of an audio URL without downloading it all */
+async function fetchId3Chapters(src, signal) {
+  const head = await fetchBytes(src, 0, ID3_HEAD_BYTES - 1, signal);
+  const isId3 =
+    head.length >= 10 &&
+    head[0] === 0x49 &&
+    head[1] === 0x44 &&
+    head[2] === 0x33;
+  if (!isId3) return [];
+
+  // Only fetch the rest of the tag when it is larger than the first request
+  const size = Math.min(ID3_MAX_BYTES, 10 + synchsafe(head, 6));
+  if (size <= head.length) return parseId3Chapters(head.subarray(0, size));
+  const rest = await fetchBytes(src, head.length, size - 1, signal);
+  return parseId3Chapters(concat([head, rest], head.length + rest.length));
+}
+
+/**
+ * Whether the player may read a track's ID3 tag on its own: only for
+ * same-origin audio (other hosts often block it without CORS), never when
+ * offline.
+ *
+ * @param {string} src
+ * @returns {boolean}
+ */
+export function canProbeAudio(src) {
+  if (!src || (typeof navigator !== "undefined" && !navigator.onLine)) {
+    return false;
+  }
+  try {
+    return new URL(src, window.location.href).origin === window.location.origin;
+  } catch {
+    return false;
+  }
+}
+
+function concat(chunks, length) {
+  const out = new Uint8Array(length);
+  let i = 0;
+  chunks.forEach((c) => {
+    out.set(c, i);
+    i += c.length;
+  });
+  return out;
+}
+
+/**
+ * Chapters already known for a track (user-provided or loaded this session).
+ *
+ * @param {string} trackId
+ * @returns {Array<Object>|null} null when not loaded yet
+ */
+export function getCachedChapters(trackId) {
+  if (cache.has(trackId)) return cache.get(trackId);
+  const stored = readStored()[trackId];
+  return Array.isArray(stored) ? stored : null;
+}
+
+/**
+ * Save chapters the user provided for a track and notify listeners
+ * (the footer player) with an "earbuzz:chapters" event.
+ *
+ * @param {string} trackId
+ * @param {Array<Object>} chapters
+ */
+export function saveChapters(trackId, chapters) {
+  const map = readStored();
+  map[trackId] = chapters;
+  localStorage.setItem(CHAPTERS_KEY, JSON.stringify(map));
+  cache.set(trackId, chapters);
+  document.dispatchEvent(
+    new CustomEvent("earbuzz:chapters", { detail: { trackId, chapters } })
+  );
+}
+
+/**
+ * Load chapters for a track: stored → JSON URL → ID3 tag of the audio.
+ * Failures resolve to an empty list (chapters are optional).
+ * With `probeAudio: false` the ID3 tag is skipped and the empty result is
+ * not cached, so opening the chapter list later can still read it.
+ *
+ * @param {{ id: string, src?: string, chaptersUrl?: string }} track
+ * @param {AbortSignal} [signal]
+ * @param {{ probeAudio?: boolean }} [options]
+ * @returns {Promise<Array<Object>>} Chapter[]
+ */
+export async function loadChapters(track, signal, { probeAudio = true } = {}) {
+  const known = getCachedChapters(track.id);
+  if (known) return known;
+  if (!track.chaptersUrl && !probeAudio) return [];
+
+  let chapters = [];
+  try {
+    if (track.chaptersUrl) {
+      const res = await fetch(track.chaptersUrl, { signal });
+      if (!res.ok) throw new Error(`Request failed (${res.status})`);
+      chapters = parseChaptersJson(await res.json());
+    } else if (track.src) {
+      chapters = await fetchId3Chapters(track.src, signal);
+    }
+  } catch (err) {
+    if (err.name === "AbortError") throw err;
+    console.warn("Could not load chapters for", track.id, err);
+  }
+
+  cache.set(track.id, chapters);
+  return chapters;
+}
+
+/**
+ * Load chapters from a JSON URL the user entered, and remember them.
+ *
+ * @param {string} trackId
+ * @param {string} url
+ * @returns {Promise<Array<Object>>}
+ */
+export async function loadChaptersFromUrl(trackId, url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Request failed (${res.status})`);
+  const chapters = parseChaptersJson(await res.json());
+  saveChapters(trackId, chapters);
+  return chapters;
+}
+
+/**
+ * Index of the chapter playing at time `t` (-1 before the first chapter).
+ *
+ * @param {Array<Object>} chapters
+ * @param {number} t seconds
+ * @returns {number}
+ */
+export function chapterIndexAt(chapters, t) {
+  let idx = -1;
+  for (let i = 0; i < chapters.length; i++) {
+    if (chapters[i].start <= t + 0.25) idx = i;
+    else break;
+  }
+  return idx;
+}
@@ -0,0 +1,125 @@
+import { describe, expect, it } from "vitest";
+import {
+  chapterIndexAt,
+  parseChaptersJson,
+  parseId3Chapters,
+} from "./chapters.js";
+
+/* ID3v2.4 sizes are 28-bit "synchsafe" integers */
+const synchsafe = (n) => [
+  (n >> 21) & 0x7f,
+  (n >> 14) & 0x7f,
+  (n >> 7) & 0x7f,
+  n & 0x7f,
+];
+const uint32 = (n) => [
+  (n >>> 24) & 0xff,
+  (n >> 16) & 0xff,
+  (n >> 8) & 0xff,
+  n & 0xff,
+];
+const ascii = (s) => [...s].map((c) => c.charCodeAt(0));
+
+function frame(id, body) {
+  return [...ascii(id), ...synchsafe(body.length), 0, 0, ...body];
+}
+
+/* CHAP with a UTF-8 TIT2 title; end 0xFFFFFFFF means "not given" */
+function chap(elementId, startMs, title, endMs = 0xffffffff) {
+  return frame("CHAP", [
+    ...ascii(elementId),
+    0,
+    ...uint32(startMs),
+    ...uint32(endMs),
+    ...uint32(0xffffffff),
+    ...uint32(0xffffffff),
+    ...frame("TIT2", [3, ...new TextEncoder().encode(title)]),
+  ]);
+}
+
+function id3(...frames) {
+  const body = frames.flat();
+  return new Uint8Array([
+    ...ascii("ID3"),
+    4,
+    0,
+    0,
+    ...synchsafe(body.length),
+    ...body,
+  ]);
+}
+
+describe("parseId3Chapters", () => {
+  it("reads CHAP frames in start order", () => {
+    const chapters = parseId3Chapters(
+      id3(chap("ch1", 90500, "Interview", 600000), chap("ch0", 0, "Intro — hi"))
+    );
+
+    expect(chapters).toEqual([
+      { start: 0, title: "Intro — hi" },
+      { start: 90.5, title: "Interview" },
+    ]);
+  });
+
+  it("names untitled chapters by position", () => {
+    expect(parseId3Chapters(id3(chap("ch0", 1000, "")))).toEqual([
+      { start: 1, title: "Chapter 1" },
+    ]);
+  });
+
+  it("returns nothing for audio without an ID3 tag", () => {
+    expect(parseId3Chapters(new Uint8Array(64))).toEqual([]);
+    expect(parseId3Chapters(id3(frame("TIT2", [3, ...ascii("Song")])))).toEqual(
+      []
+    );
+  });
+});
+
+describe("parseChaptersJson", () => {
+  it("reads chapters that only have a start time", () => {
+    const chapters = parseChaptersJson(
+      JSON.stringify({
+        version: "1.2.0",
+        chapters: [
+          { startTime: 300, title: "Outro", url: "https://example.com" },
+          { startTime: 0, title: "Intro", img: "https://example.com/1.jpg" },
+          { startTime: 120, title: "Hidden", toc: false },
+          { startTime: 60 },
+        ],
+      })
+    );
+
+    expect(chapters).toEqual([
+      { start: 0, title: "Intro", img: "https://example.com/1.jpg" },
+      { start: 60, title: "Chapter 3" },
+      { start: 300, title: "Outro", url: "https://example.com" },
+    ]);
+  });
+
+  it("skips chapters without a usable start", () => {
+    expect(
+      parseChaptersJson({
+        chapters: [{ title: "No start" }, { startTime: -5 }, { startTime: 10 }],
+      })
+    ).toEqual([{ start: 10, title: "Chapter 1" }]);
+  });
+
+  it("rejects files without a chapters list", () => {
+    expect(() => parseChaptersJson({ version: "1.2.0" })).toThrow(
+      "Not a Podcasting 2.0 chapters file"
+    );
+  });
+});
+
+describe("chapterIndexAt", () => {
+  const chapters = [
+    { start: 10, title: "One" },
+    { start: 60, title: "Two" },
+  ];
+
+  it("keeps the last chapter playing to the end", () => {
+    expect(chapterIndexAt(chapters, 5)).toBe(-1);
+    expect(chapterIndexAt(chapters, 30)).toBe(0);
+    expect(chapterIndexAt(chapters, 3600)).toBe(1);
+  });
+});
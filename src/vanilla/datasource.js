@@ -0,0 +1,151 @@
+/**
+ * datasource.js — Pluggable data sources for The Healing Mic.
+ *
+ * Every adapter implements the same interface:
+ *
+ * DataSource {
+ *  name: string;
+ *  listPreviews(signal?): Promise<Array<Preview>>;
+ *  getShow(id, signal?): Promise<Show>;
+ *  getGenre(id, signal?): Promise<{ id, title, description, shows: string[] }>;
+ * }
+ *
+ * Adapters shipped:
+ * - "http"    → the Podcast API (or any server with the same routes).
+ * - "fixture" → a bundled JSON catalogue, for offline development and demos.
+ *
+ * The adapter is chosen at startup from Vite env vars:
+ *   VITE_DATA_SOURCE=http|fixture   (default: http)
+ *   VITE_API_BASE=<url>             (http adapter only)
+ * or at runtime with configureDataSource().
+ */
+
+export const DEFAULT_API_BASE = "https://podcast-api.netlify.app";
+
+async function getJSON(url, signal) {
+  const res = await fetch(url, { signal });
+  if (!res.ok) throw new Error(`Request failed (${res.status})`);
+  return res.json();
+}
+
+/**
+ * HTTP adapter for the Podcast API route layout:
+ * `/` (previews), `/id/:id` (show) and `/genre/:id` (genre).
+ *
+ * @param {{ baseUrl?: string }} [options]
+ * @returns {Object} DataSource
+ */
+export function createHttpSource({ baseUrl = DEFAULT_API_BASE } = {}) {
+  const base = baseUrl.replace(/\/+$/, "");
+  return {
+    name: "http",
+    listPreviews: (signal) => getJSON(`${base}/`, signal),
+    getShow: (id, signal) => getJSON(`${base}/id/${id}`, signal),
+    getGenre: (id, signal) => getJSON(`${base}/genre/${id}`, signal),
+  };
+}
+
+/**
+ * Fixture adapter serving a JSON catalogue of the shape
+ * `{ previews: Preview[], shows: Show[], genres: Genre[] }`.
+ * Without an explicit catalogue the bundled demo one is lazy-loaded.
+ *
+ * @param {{ catalogue?: Object }} [options]
+ * @returns {Object} DataSource
+ */
+export function createFixtureSource({ catalogue } = {}) {
+  let loading = null;
+
+  function load() {
+    if (catalogue) return Promise.resolve(catalogue);
+    if (!loading) {
+      loading = import("./fixtures/catalogue.json").then(
+        (mod) => mod.default || mod
+      );
+    }
+    return loading;
+  }
+
+  function notFound(what, id) {
+    return new Error(`Request failed (404): no ${what} "${id}" in fixtures`);
+  }
+
+  return {
+    name: "fixture",
+    async listPreviews() {
+      const data = await load();
+      return structuredClone(data.previews || []);
+    },
+    async getShow(id) {
+      const data = await load();
+      const show = (data.shows || []).find((s) => String(s.id) === String(id));
+      if (!show) throw notFound("show", id);
+      return structuredClone(show);
+    },
+    async getGenre(id) {
+      const data = await load();
+      const genre = (data.genres || []).find(
+        (g) => String(g.id) === String(id)
+      );
+      if (!genre) throw notFound("genre", id);
+      return structuredClone(genre);
+    },
+  };
+}
+
+const ADAPTERS = {
+  http: createHttpSource,
+  fixture: createFixtureSource,
+};
+
+function fromEnv() {
+  const env = import.meta.env || {};
+  const name = env.VITE_DATA_SOURCE || "http";
+  const factory = ADAPTERS[name];
+  if (!factory) {
+    console.warn(`Unknown VITE_DATA_SOURCE "${name}", falling back to http`);
+    return createHttpSource();
+  }
+  return factory({ baseUrl: env.VITE_API_BASE || DEFAULT_API_BASE });
+}
+
+let active = null;
+
+/**
+ * Return the active data source, creating it from env on first use.
+ *
+ * @returns {Object} DataSource
+ */
+export function getDataSource() {
+  if (!active) active = fromEnv();
+  return active;
+}
+
+/**
+ * Select the data source at startup.
+ * Accepts an adapter name ("http" | "fixture") with its options,
+ * or a ready-made object implementing the DataSource interface.
+ *
+ * @param {string|Object} source
+ * @param {Object} [options]
+ * @returns {Object} DataSource
+ */
+export function configureDataSource(source, options = {}) {
+  if (typeof source === "string") {
+    const factory = ADAPTERS[source];
+    if (!factory) throw new Error(`Unknown data source "${source}"`);
+    active = factory(options);
+  } else if (
+    source &&
+    typeof source.listPreviews === "function" &&
+    typeof source.getShow === "function" &&
+    typeof source.getGenre === "function"
+  ) {
+    active = source;
+  } else {
+    throw new Error(
+      "configureDataSource: expected an adapter name or a DataSource object"
+    );
+  }
+  return active;
+}
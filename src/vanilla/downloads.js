@@ -0,0 +1,272 @@
+/**
+ * downloads.js — Offline episode downloads for The Healing Mic.
+ *
+ * Responsibilities:
+ * - Download episode audio into Cache Storage, with progress and cancel.
+ * - Keep an index of downloaded episodes (track metadata, size, date).
+ * - Hand the player a local (blob) URL for downloaded episodes.
+ * - Delete downloads and report storage usage.
+ *
+ * Audio is cached under its own URL, so a service worker can serve it too.
+ * Episodes that share an enclosure URL share that cache entry; it is only
+ * deleted once no indexed episode uses it.
+ * Progress is announced with an "earbuzz:downloads" event on `document`
+ * ({ detail: { trackId, state, loaded, total } }).
+ *
+ * The index is not part of backups: it describes files on this device.
+ */
+
+export const DOWNLOADS_KEY = "earbuzz:downloads:v1";
+/**
+ * { [trackId]: {
+ *   track: { id, title, subtitle, src, cover? },
+ *   size: number;          // bytes
+ *   type: string;          // MIME type, e.g. "audio/mpeg"
+ *   downloadedAt: number;
+ * } }
+ */
+const AUDIO_CACHE = "earbuzz-audio-v1";
+
+export const DOWNLOADS_EVENT = "earbuzz:downloads";
+
+/* In-flight downloads: trackId → { ctrl, loaded, total } */
+const active = new Map();
+
+/* =========================
+   INDEX
+========================= */
+
+function readIndex() {
+  try {
+    const raw = localStorage.getItem(DOWNLOADS_KEY);
+    const map = raw ? JSON.parse(raw) : {};
+    return map && typeof map === "object" ? map : {};
+  } catch {
+    return {};
+  }
+}
+
+function writeIndex(map) {
+  localStorage.setItem(DOWNLOADS_KEY, JSON.stringify(map));
+}
+
+function announce(trackId, state, loaded = 0, total = 0) {
+  document.dispatchEvent(
+    new CustomEvent(DOWNLOADS_EVENT, {
+      detail: { trackId, state, loaded, total },
+    })
+  );
+}
+
+/** True when Cache Storage is available (secure context, modern browser). */
+export function downloadsSupported() {
+  return typeof caches !== "undefined";
+}
+
+/**
+ * Downloaded episodes, newest first.
+ *
+ * @returns {Array<{ id, track, size, type, downloadedAt }>}
+ */
+export function listDownloads() {
+  return Object.entries(readIndex())
+    .map(([id, d]) => ({ id, ...d }))
+    .sort((a, b) => b.downloadedAt - a.downloadedAt);
+}
+
+export function isDownloaded(trackId) {
+  return !!readIndex()[trackId];
+}
+
+/**
+ * Download state of an episode.
+ *
+ * @param {string} trackId
+ * @returns {{ state: "none"|"downloading"|"done", loaded: number, total: number }}
+ */
+export function downloadState(trackId) {
+  const job = active.get(trackId);
+  if (job)
+    return { state: "downloading", loaded: job.loaded, total: job.total };
+  const done = readIndex()[trackId];
+  return done
+    ? { state: "done", loaded: done.size, total: done.size }
+    : { state: "none", loaded: 0, total: 0 };
+}
+
+/* =========================
+   DOWNLOADING
+========================= */
+
+/**
+ * Download a track's audio into Cache Storage.
+ * Resolves once the file is stored; rejects on network/CORS errors.
+ * Cancelling (cancelDownload) rejects with an AbortError.
+ *
+ * @param {{ id: string, title: string, subtitle?: string, src: string, cover?: string }} track
+ * @returns {Promise<void>}
+ */
+export async function downloadEpisode(track) {
+  if (!downloadsSupported()) {
+    throw new Error("Downloads are not supported in this browser");
+  }
+  if (!track?.src) throw new Error("This episode has no audio file");
+  if (active.has(track.id) || isDownloaded(track.id)) return;
+
+  const job = { ctrl: new AbortController(), loaded: 0, total: 0 };
+  active.set(track.id, job);
+  announce(track.id, "downloading");
+
+  try {
+    const res = await fetch(track.src, { signal: job.ctrl.signal });
+    if (!res.ok) throw new Error(`Request failed (${res.status})`);
+    job.total = Number(res.headers.get("content-length")) || 0;
+
+    // Read the body ourselves to report progress
+    const chunks = [];
+    if (res.body) {
+      const reader = res.body.getReader();
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        job.loaded += value.length;
+        announce(track.id, "downloading", job.loaded, job.total);
+      }
+    } else {
+      chunks.push(new Uint8Array(await res.arrayBuffer()));
+      job.loaded = chunks[0].length;
+    }
+
+    const type = res.headers.get("content-type") || "audio/mpeg";
+    const blob = new Blob(chunks, { type });
+    const cache = await caches.open(AUDIO_CACHE);
+    await cache.put(
+      track.src,
+      new Response(blob, {
+        headers: { "Content-Type": type, "Content-Length": String(blob.size) },
+      })
+    );
+
+    const index = readIndex();
+    index[track.id] = {
+      track: {
+        id: track.id,
+        title: track.title,
+        subtitle: track.subtitle || "",
+        src: track.src,
+        cover: track.cover || "",
+      },
+      size: blob.size,
+      type,
+      downloadedAt: Date.now(),
+    };
+    writeIndex(index);
+
+    // Ask the browser not to evict downloads under storage pressure
+    navigator.storage?.persist?.().catch(() => {});
+  } catch (err) {
+    active.delete(track.id);
+    announce(track.id, "none");
+    // fetch() reports both a dropped connection and a blocked cross-origin
+    // request as a bare TypeError; only blame CORS when we are online
+    if (err.name === "TypeError") {
+      throw new Error(
+        navigator.onLine
+          ? "The audio host does not allow downloads (CORS)"
+          : "You're offline. Connect to the internet to download episodes"
+      );
+    }
+    throw err;
+  }
+
+  active.delete(track.id);
+  announce(track.id, "done", job.loaded, job.loaded);
+}
+
+/** Cancel an in-flight download. */
+export function cancelDownload(trackId) {
+  active.get(trackId)?.ctrl.abort();
+}
+
+/* =========================
+   PLAYBACK + DELETION
+========================= */
+
+/**
+ * A blob URL for a downloaded track's audio, or null when not downloaded.
+ * Callers revoke it (URL.revokeObjectURL) when they are done.
+ *
+ * @param {{ id: string, src: string }} track
+ * @returns {Promise<string|null>}
+ */
+export async function localAudioUrl(track) {
+  const entry = readIndex()[track?.id];
+  if (!entry || !downloadsSupported()) return null;
+  try {
+    const cache = await caches.open(AUDIO_CACHE);
+    const res = await cache.match(entry.track.src);
+    if (!res) {
+      // Evicted by the browser: forget every episode that used it
+      const index = readIndex();
+      const gone = Object.keys(index).filter(
+        (id) => index[id].track?.src === entry.track.src
+      );
+      gone.forEach((id) => delete index[id]);
+      writeIndex(index);
+      gone.forEach((id) => announce(id, "none"));
+      return null;
+    }
+    return URL.createObjectURL(await res.blob());
+  } catch (err) {
+    console.warn("Could not open downloaded audio for", track.id, err);
+    return null;
+  }
+}
+
+/**
+ * Delete downloaded episodes.
+ *
+ * @param {Array<string>} trackIds
+ */
+export async function deleteDownloads(trackIds) {
+  const index = readIndex();
+  const srcs = new Set();
+  for (const id of trackIds) {
+    const entry = index[id];
+    if (!entry) continue;
+    srcs.add(entry.track.src);
+    delete index[id];
+  }
+  writeIndex(index);
+
+  // Keep audio that another downloaded episode still points at
+  Object.values(index).forEach((d) => srcs.delete(d.track?.src));
+  const cache = downloadsSupported() ? await caches.open(AUDIO_CACHE) : null;
+  for (const src of srcs) await cache?.delete(src);
+
+  trackIds.forEach((id) => announce(id, "none"));
+}
+
+export function deleteDownload(trackId) {
+  return deleteDownloads([trackId]);
+}
+
+/**
+ * Storage used by downloads and by the whole app (when the browser tells).
+ *
+ * @returns {Promise<{ downloads: number, usage: number|null, quota: number|null }>}
+ */
+export async function storageUsage() {
+  const downloads = listDownloads().reduce((sum, d) => sum + (d.size || 0), 0);
+  try {
+    const est = await navigator.storage?.estimate?.();
+    return {
+      downloads,
+      usage: est?.usage ?? null,
+      quota: est?.quota ?? null,
+    };
+  } catch {
+    return { downloads, usage: null, quota: null };
+  }
+}
@@ -0,0 +1,209 @@
+import { createServer } from "node:http";
+import { resolveObjectURL } from "node:buffer";
+import {
+  afterAll,
+  afterEach,
+  beforeAll,
+  beforeEach,
+  describe,
+  expect,
+  it,
+  vi,
+} from "vitest";
+import {
+  DOWNLOADS_EVENT,
+  deleteDownloads,
+  downloadEpisode,
+  isDownloaded,
+  listDownloads,
+  localAudioUrl,
+} from "./downloads.js";
+
+const AUDIO = Buffer.from(Array.from({ length: 4096 }, (_, i) => i % 256));
+
+let server;
+let base;
+
+/* Serves /episode.mp3; everything else is a 404 */
+beforeAll(async () => {
+  server = createServer((req, res) => {
+    if (req.url !== "/episode.mp3") {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    res.writeHead(200, {
+      "Content-Type": "audio/mpeg",
+      "Content-Length": AUDIO.length,
+    });
+    res.end(AUDIO);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+/* In-memory Cache Storage: responses kept as bytes, by URL */
+function fakeCaches() {
+  const stores = new Map();
+  return {
+    stores,
+    async open(name) {
+      if (!stores.has(name)) stores.set(name, new Map());
+      const store = stores.get(name);
+      return {
+        async put(url, res) {
+          store.set(String(url), {
+            body: await res.arrayBuffer(),
+            type: res.headers.get("content-type"),
+          });
+        },
+        async match(url) {
+          const hit = store.get(String(url));
+          return hit
+            ? new Response(hit.body, { headers: { "Content-Type": hit.type } })
+            : undefined;
+        },
+        async delete(url) {
+          return store.delete(String(url));
+        },
+      };
+    },
+  };
+}
+
+function fakeStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+}
+
+function track(path = "/episode.mp3", id = "42:1:1") {
+  return {
+    id,
+    title: "S1E1 — Pilot",
+    subtitle: "Test Show",
+    src: `${base}${path}`,
+  };
+}
+
+let caches;
+let events;
+
+beforeEach(() => {
+  caches = fakeCaches();
+  events = [];
+  const doc = new EventTarget();
+  doc.addEventListener(DOWNLOADS_EVENT, (e) => events.push(e.detail.state));
+  vi.stubGlobal("caches", caches);
+  vi.stubGlobal("localStorage", fakeStorage());
+  vi.stubGlobal("document", doc);
+  vi.stubGlobal("navigator", { onLine: true });
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe("downloadEpisode", () => {
+  it("stores the audio and indexes the episode", async () => {
+    await downloadEpisode(track());
+
+    const audioCache = caches.stores.get("earbuzz-audio-v1");
+    expect(audioCache.get(track().src).body.byteLength).toBe(AUDIO.length);
+    expect(isDownloaded("42:1:1")).toBe(true);
+    expect(listDownloads()).toEqual([
+      expect.objectContaining({
+        id: "42:1:1",
+        size: AUDIO.length,
+        type: "audio/mpeg",
+        track: expect.objectContaining({ title: "S1E1 — Pilot" }),
+      }),
+    ]);
+    expect(events[0]).toBe("downloading");
+    expect(events.at(-1)).toBe("done");
+  });
+
+  it("rejects on HTTP errors and keeps nothing", async () => {
+    await expect(downloadEpisode(track("/missing.mp3"))).rejects.toThrow(
+      "Request failed (404)"
+    );
+    expect(isDownloaded("42:1:1")).toBe(false);
+    expect(events.at(-1)).toBe("none");
+  });
+
+  it("blames the connection, not CORS, when offline", async () => {
+    vi.stubGlobal("fetch", () => Promise.reject(new TypeError("fetch failed")));
+
+    vi.stubGlobal("navigator", { onLine: false });
+    await expect(downloadEpisode(track())).rejects.toThrow("You're offline");
+
+    vi.stubGlobal("navigator", { onLine: true });
+    await expect(downloadEpisode(track())).rejects.toThrow("CORS");
+  });
+});
+
+describe("localAudioUrl", () => {
+  it("returns a blob URL with the downloaded audio", async () => {
+    await downloadEpisode(track());
+
+    const url = await localAudioUrl(track());
+    expect(url).toMatch(/^blob:/);
+    const blob = resolveObjectURL(url);
+    expect(Buffer.from(await blob.arrayBuffer())).toEqual(AUDIO);
+    URL.revokeObjectURL(url);
+  });
+
+  it("returns null for episodes that are not downloaded", async () => {
+    expect(await localAudioUrl(track())).toBeNull();
+  });
+
+  it("forgets downloads the browser evicted", async () => {
+    await downloadEpisode(track());
+    caches.stores.get("earbuzz-audio-v1").clear();
+
+    expect(await localAudioUrl(track())).toBeNull();
+    expect(isDownloaded("42:1:1")).toBe(false);
+  });
+
+  it("forgets every episode that shared the evicted audio", async () => {
+    await downloadEpisode(track());
+    await downloadEpisode(track("/episode.mp3", "42:1:2"));
+    caches.stores.get("earbuzz-audio-v1").clear();
+
+    expect(await localAudioUrl(track())).toBeNull();
+    expect(listDownloads()).toEqual([]);
+  });
+});
+
+describe("deleteDownloads", () => {
+  it("removes the audio and the index entry", async () => {
+    await downloadEpisode(track());
+    events.length = 0;
+
+    await deleteDownloads(["42:1:1", "unknown"]);
+
+    expect(caches.stores.get("earbuzz-audio-v1").size).toBe(0);
+    expect(listDownloads()).toEqual([]);
+    expect(events).toContain("none");
+  });
+
+  it("keeps audio another episode shares until that one is deleted", async () => {
+    await downloadEpisode(track());
+    await downloadEpisode(track("/episode.mp3", "42:1:2"));
+    const audioCache = caches.stores.get("earbuzz-audio-v1");
+
+    await deleteDownloads(["42:1:1"]);
+    expect(audioCache.size).toBe(1);
+    const url = await localAudioUrl(track("/episode.mp3", "42:1:2"));
+    expect(url).toMatch(/^blob:/);
+    URL.revokeObjectURL(url);
+
+    await deleteDownloads(["42:1:2"]);
+    expect(audioCache.size).toBe(0);
+  });
+});
@@ -0,0 +1,417 @@
+/**
+ * feeds.js — RSS/Atom feed subscriptions for The Healing Mic.
+ *
+ * Responsibilities:
+ * - Parse RSS 2.0 (with iTunes tags) and Atom feeds into the same
+ *   `{ id, title, image, seasons: [{ season, episodes: [...] }] }` shape
+ *   the Podcast API returns, so feed shows render like native ones.
+ * - Persist subscriptions (with preview metadata) in localStorage.
+ * - Fetch and cache feed shows on demand.
+ *
+ * Feed show ids look like "feed-<hash>" (no ":" so they can live inside
+ * "showId:season:episode" track ids).
+ */
+
+const FEEDS_KEY = "earbuzz:feeds:v1";
+/**
+ * FeedSub {
+ *  id: string;          // "feed-<hash>"
+ *  url: string;         // feed URL
+ *  title: string;
+ *  description: string;
+ *  image: string;
+ *  seasons: number;     // season count (for the home grid)
+ *  updated: string;     // ISO date of newest item
+ *  addedAt: number;
+ * }
+ */
+
+const ITUNES_NS = "http://www.itunes.com/dtds/podcast-1.0.dtd";
+
+/* Preferred <podcast:transcript> formats, best first */
+const TRANSCRIPT_TYPES = [
+  "application/json",
+  "text/vtt",
+  "application/x-subrip",
+  "application/srt",
+];
+
+/* Optional CORS proxy prefix, e.g. VITE_FEED_PROXY=http://localhost:8080/?url= */
+const FEED_PROXY = (import.meta.env || {}).VITE_FEED_PROXY || "";
+
+/* =========================
+   HELPERS
+========================= */
+
+/** Stable, colon-free id for a feed URL (djb2 hash). */
+export function feedIdFor(url) {
+  let h = 5381;
+  for (let i = 0; i < url.length; i++) {
+    h = ((h << 5) + h + url.charCodeAt(i)) >>> 0;
+  }
+  return `feed-${h.toString(36)}`;
+}
+
+export function isFeedId(id) {
+  return String(id ?? "").startsWith("feed-");
+}
+
+/*
+ * Strip feed markup down to plain text. The text is stored as-is; pages
+ * escape it (escapeHtml in html.js) wherever it goes into innerHTML.
+ */
+function cleanText(s = "") {
+  let text = String(s);
+  if (/[<&]/.test(text) && typeof DOMParser !== "undefined") {
+    const doc = new DOMParser().parseFromString(text, "text/html");
+    text = doc.body.textContent || "";
+  }
+  return text.replace(/\s+/g, " ").trim();
+}
+
+/* Only allow absolute http(s) URLs (resolved against the feed URL) */
+function cleanUrl(s, base) {
+  if (!s) return "";
+  try {
+    const u = new URL(String(s).trim(), base);
+    return u.protocol === "http:" || u.protocol === "https:"
+      ? u.href.replace(/"/g, "%22")
+      : "";
+  } catch {
+    return "";
+  }
+}
+
+function childText(el, name) {
+  const child = [...el.children].find(
+    (c) => c.localName === name && c.namespaceURI !== ITUNES_NS
+  );
+  return child?.textContent?.trim() || "";
+}
+
+function itunes(el, name) {
+  const child = [...el.children].find(
+    (c) =>
+      c.localName === name &&
+      (c.namespaceURI === ITUNES_NS || c.prefix === "itunes")
+  );
+  return child || null;
+}
+
+/* Best supported <podcast:transcript> of an item, as { url, type } */
+function pickTranscript(item, feedUrl) {
+  const rank = (type) => {
+    const i = TRANSCRIPT_TYPES.indexOf(type);
+    return i < 0 ? TRANSCRIPT_TYPES.length : i;
+  };
+  const best = [...item.children]
+    .filter((c) => c.localName === "transcript")
+    .map((c) => ({
+      url: cleanUrl(c.getAttribute("url"), feedUrl),
+      type: (c.getAttribute("type") || "").toLowerCase(),
+    }))
+    .filter((t) => t.url && rank(t.type) < TRANSCRIPT_TYPES.length)
+    .sort((a, b) => rank(a.type) - rank(b.type))[0];
+  return best || { url: "", type: "" };
+}
+
+function toIso(s) {
+  const d = new Date(s);
+  return isNaN(d) ? "" : d.toISOString();
+}
+
+/* =========================
+   PARSING
+========================= */
+
+/* Group parsed items into numbered seasons, oldest episode first */
+function toSeasons(items, image) {
+  const bySeason = new Map();
+  items
+    .slice()
+    .sort((a, b) => (a.date || "").localeCompare(b.date || ""))
+    .forEach((it) => {
+      const sn = it.season > 0 ? it.season : 1;
+      if (!bySeason.has(sn)) bySeason.set(sn, []);
+      bySeason.get(sn).push(it);
+    });
+
+  return [...bySeason.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([season, eps]) => {
+      const used = new Set(eps.map((e) => e.episode).filter((n) => n > 0));
+      let next = 1;
+      return {
+        season,
+        title: `Season ${season}`,
+        image,
+        episodes: eps.map((e) => {
+          let n = e.episode > 0 ? e.episode : 0;
+          if (!n) {
+            while (used.has(next)) next++;
+            n = next;
+            used.add(n);
+          }
+          return {
+            episode: n,
+            title: e.title,
+            description: e.description,
+            file: e.file,
+            ...(e.chaptersUrl ? { chaptersUrl: e.chaptersUrl } : {}),
+            ...(e.transcript?.url
+              ? {
+                  transcriptUrl: e.transcript.url,
+                  transcriptType: e.transcript.type,
+                }
+              : {}),
+            date: e.date,
+          };
+        }),
+      };
+    });
+}
+
+function parseRss(channel, feedUrl) {
+  const image = cleanUrl(
+    itunes(channel, "image")?.getAttribute("href") ||
+      channel.querySelector(":scope > image > url")?.textContent,
+    feedUrl
+  );
+
+  const items = [...channel.children]
+    .filter((c) => c.localName === "item")
+    .map((item) => {
+      const enclosure = [...item.children].find(
+        (c) => c.localName === "enclosure"
+      );
+      return {
+        title: cleanText(childText(item, "title")),
+        description: cleanText(
+          childText(item, "description") || itunes(item, "summary")?.textContent
+        ),
+        file: cleanUrl(enclosure?.getAttribute("url"), feedUrl),
+        chaptersUrl: cleanUrl(
+          [...item.children]
+            .find((c) => c.localName === "chapters")
+            ?.getAttribute("url"),
+          feedUrl
+        ),
+        transcript: pickTranscript(item, feedUrl),
+        date: toIso(childText(item, "pubDate")),
+        season: Number(itunes(item, "season")?.textContent) || 0,
+        episode: Number(itunes(item, "episode")?.textContent) || 0,
+      };
+    })
+    .filter((it) => it.file);
+
+  return {
+    title: cleanText(childText(channel, "title")),
+    description: cleanText(
+      childText(channel, "description") ||
+        itunes(channel, "summary")?.textContent
+    ),
+    image,
+    items,
+  };
+}
+
+function parseAtom(feed, feedUrl) {
+  const linkOf = (el, rel) =>
+    [...el.children].find(
+      (c) =>
+        c.localName === "link" && (c.getAttribute("rel") || "alternate") === rel
+    );
+
+  const items = [...feed.children]
+    .filter((c) => c.localName === "entry")
+    .map((entry) => ({
+      title: cleanText(childText(entry, "title")),
+      description: cleanText(
+        childText(entry, "summary") || childText(entry, "content")
+      ),
+      file: cleanUrl(linkOf(entry, "enclosure")?.getAttribute("href"), feedUrl),
+      date: toIso(childText(entry, "published") || childText(entry, "updated")),
+      season: Number(itunes(entry, "season")?.textContent) || 0,
+      episode: Number(itunes(entry, "episode")?.textContent) || 0,
+    }))
+    .filter((it) => it.file);
+
+  return {
+    title: cleanText(childText(feed, "title")),
+    description: cleanText(childText(feed, "subtitle")),
+    image: cleanUrl(
+      childText(feed, "logo") ||
+        childText(feed, "icon") ||
+        itunes(feed, "image")?.getAttribute("href"),
+      feedUrl
+    ),
+    items,
+  };
+}
+
+/**
+ * Parse RSS/Atom XML into a show object.
+ *
+ * @param {string} xml
+ * @param {string} feedUrl
+ * @returns {Object} show in the Podcast API shape, plus `feedUrl`
+ */
+export function parseFeed(xml, feedUrl) {
+  const doc = new DOMParser().parseFromString(xml, "application/xml");
+  if (doc.querySelector("parsererror")) {
+    throw new Error("Not a valid RSS/Atom feed (XML parse error)");
+  }
+
+  const root = doc.documentElement;
+  let parsed;
+  if (root.localName === "rss") {
+    const channel = [...root.children].find((c) => c.localName === "channel");
+    if (!channel) throw new Error("RSS feed has no <channel>");
+    parsed = parseRss(channel, feedUrl);
+  } else if (root.localName === "feed") {
+    parsed = parseAtom(root, feedUrl);
+  } else {
+    throw new Error(`Unsupported feed format <${root.localName}>`);
+  }
+
+  if (parsed.items.length === 0) {
+    throw new Error("Feed has no episodes with audio enclosures");
+  }
+
+  const seasons = toSeasons(parsed.items, parsed.image);
+  const updated = parsed.items
+    .map((it) => it.date)
+    .filter(Boolean)
+    .sort()
+    .pop();
+
+  return {
+    id: feedIdFor(feedUrl),
+    feedUrl,
+    title: parsed.title || feedUrl,
+    description: parsed.description,
+    image: parsed.image,
+    genres: [],
+    updated: updated || new Date().toISOString(),
+    seasons,
+  };
+}
+
+/* =========================
+   SUBSCRIPTIONS STORAGE
+========================= */
+
+function readFeeds() {
+  try {
+    const raw = localStorage.getItem(FEEDS_KEY);
+    const arr = raw ? JSON.parse(raw) : [];
+    return Array.isArray(arr) ? arr : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeFeeds(list) {
+  localStorage.setItem(FEEDS_KEY, JSON.stringify(list));
+}
+
+export function loadFeeds() {
+  return readFeeds();
+}
+
+export function findFeed(id) {
+  return readFeeds().find((f) => f.id === id) || null;
+}
+
+/* Parsed feed shows fetched this session, keyed by feed id */
+const feedCache = new Map();
+
+async function fetchFeedXml(url, signal) {
+  const res = await fetch(
+    FEED_PROXY + (FEED_PROXY ? encodeURIComponent(url) : url),
+    {
+      signal,
+    }
+  );
+  if (!res.ok) throw new Error(`Request failed (${res.status})`);
+  return res.text();
+}
+
+function toSub(show, prev) {
+  return {
+    id: show.id,
+    url: show.feedUrl,
+    title: show.title,
+    description: show.description,
+    image: show.image,
+    seasons: show.seasons.length,
+    updated: show.updated,
+    addedAt: prev?.addedAt ?? Date.now(),
+  };
+}
+
+/**
+ * Fetch, parse and store a feed subscription.
+ * Re-subscribing to a known URL refreshes its metadata.
+ *
+ * @param {string} url
+ * @returns {Promise<Object>} the parsed show
+ */
+export async function subscribeFeed(url) {
+  const feedUrl = new URL(url, window.location.href).href;
+  const show = parseFeed(await fetchFeedXml(feedUrl), feedUrl);
+
+  const list = readFeeds();
+  const i = list.findIndex((f) => f.id === show.id);
+  const sub = toSub(show, list[i]);
+  if (i >= 0) list[i] = sub;
+  else list.push(sub);
+  writeFeeds(list);
+
+  feedCache.set(show.id, show);
+  return show;
+}
+
+export function unsubscribeFeed(id) {
+  writeFeeds(readFeeds().filter((f) => f.id !== id));
+  feedCache.delete(id);
+}
+
+/**
+ * Previews for every subscribed feed, in the Podcast API preview shape.
+ *
+ * @returns {Array<Object>}
+ */
+export function feedPreviews() {
+  return readFeeds().map((f) => ({
+    id: f.id,
+    title: f.title,
+    description: f.description,
+    image: f.image,
+    seasons: f.seasons,
+    genres: [],
+    updated: f.updated,
+    feedUrl: f.url,
+  }));
+}
+
+/**
+ * Load a subscribed feed show (fetched once per session).
+ *
+ * @param {string} id "feed-<hash>"
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<Object>}
+ */
+export async function fetchFeedShow(id, signal) {
+  if (feedCache.has(id)) return feedCache.get(id);
+
+  const sub = findFeed(id);
+  if (!sub) throw new Error(`Unknown feed "${id}"`);
+
+  const show = parseFeed(await fetchFeedXml(sub.url, signal), sub.url);
+  feedCache.set(id, show);
+
+  // Keep the stored preview in sync with the latest feed contents
+  writeFeeds(readFeeds().map((f) => (f.id === id ? toSub(show, f) : f)));
+  return show;
+}
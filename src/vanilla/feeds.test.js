@@ -0,0 +1,191 @@
+// @vitest-environment jsdom
+import { describe, expect, it } from "vitest";
+import { parseFeed } from "./feeds.js";
+
+const FEED_URL = "https://example.com/feed.xml";
+
+function rss(items, channel = "") {
+  return `<?xml version="1.0"?>
+<rss version="2.0" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd">
+  <channel>
+    <title>Test Show</title>
+    <description>About &lt;b&gt;things&lt;/b&gt;</description>
+    ${channel}
+    ${items.join("\n")}
+  </channel>
+</rss>`;
+}
+
+function item({ title, file, date, season, episode }) {
+  return `<item>
+    <title>${title}</title>
+    ${file ? `<enclosure url="${file}" type="audio/mpeg" />` : ""}
+    ${date ? `<pubDate>${date}</pubDate>` : ""}
+    ${season ? `<itunes:season>${season}</itunes:season>` : ""}
+    ${episode ? `<itunes:episode>${episode}</itunes:episode>` : ""}
+  </item>`;
+}
+
+const episodesOf = (show) =>
+  show.seasons.map((s) => [s.season, s.episodes.map((e) => e.episode)]);
+
+describe("parseFeed (RSS)", () => {
+  it("groups episodes by iTunes season and keeps their numbers", () => {
+    const show = parseFeed(
+      rss([
+        item({
+          title: "S2E1",
+          file: "/2-1.mp3",
+          date: "Mon, 01 Jan 2024 00:00:00 GMT",
+          season: 2,
+          episode: 1,
+        }),
+        item({
+          title: "S1E5",
+          file: "/1-5.mp3",
+          date: "Mon, 02 Jan 2023 00:00:00 GMT",
+          season: 1,
+          episode: 5,
+        }),
+        item({
+          title: "Bonus",
+          file: "/1-bonus.mp3",
+          date: "Tue, 03 Jan 2023 00:00:00 GMT",
+          season: 1,
+        }),
+      ]),
+      FEED_URL
+    );
+
+    expect(show.title).toBe("Test Show");
+    expect(show.description).toBe("About things");
+    expect(episodesOf(show)).toEqual([
+      [1, [5, 1]],
+      [2, [1]],
+    ]);
+    expect(show.seasons[0].episodes[0]).toMatchObject({
+      title: "S1E5",
+      file: "https://example.com/1-5.mp3",
+    });
+    expect(show.updated).toBe("2024-01-01T00:00:00.000Z");
+  });
+
+  it("numbers unnumbered episodes oldest first in season 1", () => {
+    const show = parseFeed(
+      rss([
+        item({
+          title: "Second",
+          file: "/b.mp3",
+          date: "Tue, 02 Jan 2024 00:00:00 GMT",
+        }),
+        item({
+          title: "First",
+          file: "/a.mp3",
+          date: "Mon, 01 Jan 2024 00:00:00 GMT",
+        }),
+      ]),
+      FEED_URL
+    );
+
+    expect(show.seasons[0].episodes.map((e) => [e.episode, e.title])).toEqual([
+      [1, "First"],
+      [2, "Second"],
+    ]);
+  });
+
+  it("skips items without an audio enclosure", () => {
+    const show = parseFeed(
+      rss([
+        item({ title: "Show notes only" }),
+        item({ title: "Pilot", file: "/pilot.mp3" }),
+      ]),
+      FEED_URL
+    );
+
+    expect(show.seasons[0].episodes.map((e) => e.title)).toEqual(["Pilot"]);
+  });
+
+  it("rejects feeds where no item has an enclosure", () => {
+    expect(() => parseFeed(rss([item({ title: "Notes" })]), FEED_URL)).toThrow(
+      "Feed has no episodes with audio enclosures"
+    );
+  });
+
+  it("only keeps http(s) URLs, resolved against the feed", () => {
+    const show = parseFeed(
+      rss(
+        [
+          item({ title: "Script", file: "javascript:alert(1)" }),
+          item({ title: "Relative", file: "audio/ep 1.mp3?q=&quot;x&quot;" }),
+        ],
+        `<itunes:image href="data:image/png;base64,AAAA" />`
+      ),
+      FEED_URL
+    );
+
+    expect(show.image).toBe("");
+    expect(show.seasons[0].episodes).toEqual([
+      expect.objectContaining({
+        title: "Relative",
+        file: "https://example.com/audio/ep%201.mp3?q=%22x%22",
+      }),
+    ]);
+  });
+});
+
+describe("parseFeed (Atom)", () => {
+  it("reads enclosure links and iTunes numbering", () => {
+    const show = parseFeed(
+      `<?xml version="1.0"?>
+<feed xmlns="http://www.w3.org/2005/Atom"
+      xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd">
+  <title>Atom Show</title>
+  <subtitle>Short talks</subtitle>
+  <logo>https://example.com/logo.png</logo>
+  <entry>
+    <title>Talk</title>
+    <summary>A talk</summary>
+    <link rel="enclosure" href="https://cdn.example.com/talk.mp3" />
+    <published>2024-03-01T10:00:00Z</published>
+    <itunes:season>3</itunes:season>
+    <itunes:episode>7</itunes:episode>
+  </entry>
+  <entry>
+    <title>Blog post</title>
+    <link href="https://example.com/post" />
+  </entry>
+</feed>`,
+      FEED_URL
+    );
+
+    expect(show).toMatchObject({
+      title: "Atom Show",
+      description: "Short talks",
+      image: "https://example.com/logo.png",
+    });
+    expect(episodesOf(show)).toEqual([[3, [7]]]);
+    expect(show.seasons[0].episodes[0].file).toBe(
+      "https://cdn.example.com/talk.mp3"
+    );
+  });
+});
+
+describe("parseFeed errors", () => {
+  it("rejects malformed XML", () => {
+    expect(() => parseFeed("<rss><channel>", FEED_URL)).toThrow(
+      "XML parse error"
+    );
+  });
+
+  it("rejects RSS without a channel", () => {
+    expect(() => parseFeed("<rss version='2.0' />", FEED_URL)).toThrow(
+      "RSS feed has no <channel>"
+    );
+  });
+
+  it("rejects documents that are not feeds", () => {
+    expect(() => parseFeed("<html><body /></html>", FEED_URL)).toThrow(
+      "Unsupported feed format <html>"
+    );
+  });
+});
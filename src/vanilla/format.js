@@ -0,0 +1,17 @@
+/**
+ * format.js — Display formatting shared by the player, pages and panels.
+ */
+
+/**
+ * Format seconds as m:ss (or h:mm:ss).
+ *
+ * @param {number} sec
+ * @returns {string}
+ */
+export function fmtClock(sec) {
+  const total = Math.max(0, Math.floor(sec || 0));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, "0");
+  return h ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+}
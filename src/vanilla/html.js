@@ -0,0 +1,21 @@
+/**
+ * html.js — Escaping for text placed in innerHTML templates.
+ *
+ * Data (show titles, feed descriptions, search terms) is stored as plain
+ * text and escaped where it is rendered.
+ */
+
+/**
+ * Escape text for use in HTML content or a quoted attribute value.
+ *
+ * @param {any} s
+ * @returns {string}
+ */
+export function escapeHtml(s = "") {
+  return String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
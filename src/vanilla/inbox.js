@@ -0,0 +1,305 @@
+/**
+ * inbox.js — "New episodes" tracking for favourited shows.
+ *
+ * Responsibilities:
+ * - Remember, per show-level favourite, the last-seen `updated` date,
+ *   episode count and episode ids.
+ * - When the app opens, re-check shows whose `updated` changed and collect
+ *   the episodes that were added since (the inbox).
+ * - Mark new episodes seen (per episode, per show or all).
+ * - Optional browser notifications about new episodes.
+ *
+ * Changes are announced with an "earbuzz:inbox" event on `document`.
+ * Callers pass in favourites, previews and a show loader, so this module
+ * does not depend on app.js.
+ */
+
+export const INBOX_KEY = "earbuzz:inbox:v1";
+/**
+ * { [showId]: {
+ *   showTitle: string;
+ *   updated: string;          // last-seen `updated` of the show
+ *   episodeCount: number;
+ *   knownIds: string[];       // "showId:season:episode" seen so far
+ *   fresh: Array<NewEpisode>; // added since, not yet seen
+ * } }
+ *
+ * NewEpisode { id, title, subtitle, src, cover, foundAt }
+ */
+const NOTIFY_KEY = "earbuzz:notify:v1"; // "on" | "off"
+
+export const INBOX_EVENT = "earbuzz:inbox";
+
+/* =========================
+   STORAGE
+========================= */
+
+function readInbox() {
+  try {
+    const raw = localStorage.getItem(INBOX_KEY);
+    const map = raw ? JSON.parse(raw) : {};
+    return map && typeof map === "object" ? map : {};
+  } catch {
+    return {};
+  }
+}
+
+function writeInbox(map) {
+  localStorage.setItem(INBOX_KEY, JSON.stringify(map));
+  document.dispatchEvent(new CustomEvent(INBOX_EVENT));
+}
+
+/* Every episode of a full show as a playable track */
+function showEpisodes(show) {
+  return (show.seasons || []).flatMap((season) =>
+    (season.episodes || []).map((ep) => ({
+      id: `${show.id}:${season.season}:${ep.episode}`,
+      title: `S${season.season}E${ep.episode} — ${
+        ep.title || `Episode ${ep.episode}`
+      }`,
+      subtitle: show.title,
+      src: ep.file || ep.audioUrl || "",
+      cover: season.image || show.image || "",
+    }))
+  );
+}
+
+/* =========================
+   TRACKING
+========================= */
+
+/**
+ * Start tracking a show from its current episodes (nothing is new yet).
+ * Called when a show is favourited.
+ *
+ * @param {Object} show full show with seasons
+ */
+export function trackShow(show) {
+  const map = readInbox();
+  const ids = showEpisodes(show).map((ep) => ep.id);
+  map[String(show.id)] = {
+    showTitle: show.title,
+    updated: show.updated || "",
+    episodeCount: ids.length,
+    knownIds: ids,
+    fresh: map[String(show.id)]?.fresh || [],
+  };
+  writeInbox(map);
+}
+
+/**
+ * Look for new episodes in favourited shows. Only shows whose `updated`
+ * date changed since the last check are fetched. Shows seen for the first
+ * time are tracked from now on.
+ *
+ * @param {Object} options
+ * @param {Array<Object>} options.favs FavItem[]
+ * @param {Array<Object>} options.previews show previews (with `updated`)
+ * @param {(id: string) => Promise<Object>} options.fetchShow full show loader
+ * @returns {Promise<Array<Object>>} episodes found by this check (NewEpisode[])
+ */
+export async function checkForNewEpisodes({ favs, previews, fetchShow }) {
+  const showIds = new Set(
+    favs.filter((f) => f.id.startsWith("show:")).map((f) => String(f.showId))
+  );
+  const updatedById = new Map(previews.map((p) => [String(p.id), p.updated]));
+  const before = readInbox();
+
+  // Fetch first; the inbox may change meanwhile (a show favourited,
+  // an episode played), so it is re-read before merging
+  const checked = [];
+  for (const showId of showIds) {
+    const entry = before[showId];
+    const updated = updatedById.get(showId);
+    if (entry && (!updated || updated === entry.updated)) continue;
+
+    try {
+      checked.push({ showId, updated, show: await fetchShow(showId) });
+    } catch (err) {
+      console.warn("New episodes: could not check show", showId, err);
+    }
+  }
+
+  const map = readInbox();
+  const found = [];
+
+  // Forget shows that are no longer favourites (but keep shows tracked
+  // while this check was running)
+  Object.keys(before).forEach((id) => {
+    if (!showIds.has(id)) delete map[id];
+  });
+
+  checked.forEach(({ showId, updated, show }) => {
+    const entry = map[showId];
+    const episodes = showEpisodes(show);
+    let fresh = [];
+
+    if (entry) {
+      const known = new Set(entry.knownIds);
+      const added = episodes
+        .filter((ep) => !known.has(ep.id) && ep.src)
+        .map((ep) => ({ ...ep, foundAt: Date.now() }));
+      found.push(...added);
+      fresh = [...(entry.fresh || []), ...added];
+    }
+    map[showId] = {
+      showTitle: show.title,
+      updated: updated || show.updated || "",
+      episodeCount: episodes.length,
+      knownIds: episodes.map((ep) => ep.id),
+      fresh,
+    };
+  });
+
+  writeInbox(map);
+  return found;
+}
+
+/* =========================
+   INBOX
+========================= */
+
+/** Number of unseen new episodes of a show (0 when not tracked). */
+export function newEpisodeCount(showId) {
+  return readInbox()[String(showId)]?.fresh?.length || 0;
+}
+
+/**
+ * Unseen new episodes grouped by show, newest finds first.
+ *
+ * @returns {Array<{ showId, showTitle, episodes: Array<Object> }>}
+ */
+export function loadInbox() {
+  return Object.entries(readInbox())
+    .filter(([, entry]) => entry.fresh?.length)
+    .map(([showId, entry]) => ({
+      showId,
+      showTitle: entry.showTitle,
+      episodes: entry.fresh
+        .slice()
+        .sort((a, b) => b.foundAt - a.foundAt || b.id.localeCompare(a.id)),
+    }))
+    .sort((a, b) => b.episodes[0].foundAt - a.episodes[0].foundAt);
+}
+
+export function inboxCount() {
+  return loadInbox().reduce((sum, g) => sum + g.episodes.length, 0);
+}
+
+/** Mark one new episode seen (e.g. once it is played). */
+export function markEpisodeSeen(trackId) {
+  const map = readInbox();
+  const entry = map[String(trackId).split(":")[0]];
+  if (!entry?.fresh?.some((ep) => ep.id === trackId)) return;
+  entry.fresh = entry.fresh.filter((ep) => ep.id !== trackId);
+  writeInbox(map);
+}
+
+export function markShowSeen(showId) {
+  const map = readInbox();
+  const entry = map[String(showId)];
+  if (!entry?.fresh?.length) return;
+  entry.fresh = [];
+  writeInbox(map);
+}
+
+export function markAllSeen() {
+  const map = readInbox();
+  Object.values(map).forEach((entry) => {
+    entry.fresh = [];
+  });
+  writeInbox(map);
+}
+
+/* =========================
+   NOTIFICATIONS
+========================= */
+
+export function notificationsEnabled() {
+  return (
+    localStorage.getItem(NOTIFY_KEY) === "on" &&
+    typeof Notification !== "undefined" &&
+    Notification.permission === "granted"
+  );
+}
+
+/**
+ * Turn new-episode notifications on (asking for permission) or off.
+ *
+ * @param {boolean} on
+ * @returns {Promise<boolean>} whether notifications are now enabled
+ */
+export async function setNotificationsEnabled(on) {
+  if (!on || typeof Notification === "undefined") {
+    localStorage.setItem(NOTIFY_KEY, "off");
+    return false;
+  }
+  const permission =
+    Notification.permission === "default"
+      ? await Notification.requestPermission()
+      : Notification.permission;
+  localStorage.setItem(NOTIFY_KEY, permission === "granted" ? "on" : "off");
+  return permission === "granted";
+}
+
+/**
+ * Show one notification summarising new episodes (when enabled).
+ *
+ * @param {Array<Object>} episodes NewEpisode[]
+ * @param {() => void} [onClick]
+ */
+export function notifyNewEpisodes(episodes, onClick) {
+  if (!episodes.length || !notificationsEnabled()) return;
+  const shows = [...new Set(episodes.map((ep) => ep.subtitle))];
+  const title =
+    episodes.length === 1
+      ? `New episode of ${shows[0]}`
+      : `${episodes.length} new episodes`;
+  const body =
+    episodes.length === 1 ? episodes[0].title : shows.slice(0, 3).join(", ");
+  try {
+    const n = new Notification(title, {
+      body,
+      icon: episodes[0].cover || undefined,
+      tag: "earbuzz-new-episodes",
+    });
+    n.addEventListener("click", () => {
+      window.focus();
+      onClick?.();
+      n.close();
+    });
+  } catch (err) {
+    // Some browsers only allow notifications from a service worker
+    console.warn("Could not show notification", err);
+  }
+}
+
+/**
+ * Wire the notification toggle on the Settings page (#notifyNewEpisodes).
+ */
+export function renderNotificationSettings() {
+  const box = document.querySelector("#notifyNewEpisodes");
+  const status = document.querySelector("#notifyStatus");
+  if (!box) return;
+
+  function showStatus() {
+    if (!status) return;
+    if (typeof Notification === "undefined") {
+      status.textContent = "This browser doesn't support notifications.";
+    } else if (Notification.permission === "denied") {
+      status.textContent =
+        "Notifications are blocked for this site in your browser settings.";
+    } else {
+      status.textContent = "";
+    }
+  }
+
+  box.checked = notificationsEnabled();
+  box.disabled = typeof Notification === "undefined";
+  showStatus();
+
+  box.addEventListener("change", async () => {
+    box.checked = await setNotificationsEnabled(box.checked);
+    showStatus();
+  });
+}
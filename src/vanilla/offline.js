@@ -0,0 +1,145 @@
+/**
+ * offline.js — Offline support for The Healing Mic.
+ *
+ * Responsibilities:
+ * - Register the service worker that precaches the app shell (production
+ *   builds only; see vite.config.js and src/sw.js).
+ * - Cache show data (previews, shows) in Cache Storage as it is fetched,
+ *   and fall back to the saved copy when the network fails.
+ * - Show an offline banner (#offlineBanner) when the browser is offline or
+ *   pages are showing saved data.
+ */
+
+const DATA_CACHE = "earbuzz-data-v1";
+
+/* When the oldest saved data on screen was fetched (null: all fresh) */
+let staleSince = null;
+
+/* =========================
+   SERVICE WORKER
+========================= */
+
+/**
+ * Register the service worker. Only production builds have one, so the
+ * dev server is never served stale files.
+ */
+export function registerServiceWorker() {
+  const env = import.meta.env || {};
+  if (!env.PROD || !("serviceWorker" in navigator)) return;
+  window.addEventListener("load", () => {
+    navigator.serviceWorker
+      .register(`${env.BASE_URL || "/"}sw.js`)
+      .catch((err) => console.warn("Service worker registration failed", err));
+  });
+}
+
+/* =========================
+   DATA CACHE
+========================= */
+
+function cacheUrl(key) {
+  return `/__earbuzz-data/${encodeURIComponent(key)}`;
+}
+
+async function saveJson(key, data) {
+  if (typeof caches === "undefined") return;
+  try {
+    const cache = await caches.open(DATA_CACHE);
+    await cache.put(
+      cacheUrl(key),
+      new Response(JSON.stringify({ savedAt: Date.now(), data }), {
+        headers: { "Content-Type": "application/json" },
+      })
+    );
+  } catch (err) {
+    console.warn("Could not save data for offline use", key, err);
+  }
+}
+
+async function readJson(key) {
+  if (typeof caches === "undefined") return null;
+  try {
+    const cache = await caches.open(DATA_CACHE);
+    const res = await cache.match(cacheUrl(key));
+    return res ? await res.json() : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Load data through `load()` and save a copy; when loading fails because
+ * of the network, return the saved copy and show the offline banner.
+ * Without a saved copy the error is rethrown with `offline: true`.
+ *
+ * @param {string} key cache key, e.g. "http:previews"
+ * @param {() => Promise<any>} load
+ * @returns {Promise<any>}
+ */
+export async function cachedJson(key, load) {
+  try {
+    const data = await load();
+    saveJson(key, data);
+    // The network is back: new pages show fresh data again
+    if (staleSince !== null) {
+      staleSince = null;
+      updateOfflineBanner();
+    }
+    return data;
+  } catch (err) {
+    if (err.name === "AbortError") throw err;
+    // fetch() rejects with a TypeError when there is no network at all
+    const network = !navigator.onLine || err.name === "TypeError";
+    if (!network) throw err;
+
+    const saved = await readJson(key);
+    if (saved) {
+      staleSince = Math.min(staleSince ?? saved.savedAt, saved.savedAt);
+      updateOfflineBanner();
+      return saved.data;
+    }
+    err.offline = true;
+    updateOfflineBanner();
+    throw err;
+  }
+}
+
+/* =========================
+   OFFLINE BANNER
+========================= */
+
+function updateOfflineBanner() {
+  const banner = document.querySelector("#offlineBanner");
+  if (!banner) return;
+
+  const offline = !navigator.onLine;
+  if (!offline && staleSince === null) {
+    banner.hidden = true;
+    return;
+  }
+
+  const saved = staleSince
+    ? ` Showing shows saved ${new Date(staleSince).toLocaleString()}.`
+    : "";
+  banner.innerHTML = `
+    <span></span>
+    <button class="btn" type="button">Retry</button>
+  `;
+  banner.querySelector("span").textContent = offline
+    ? `You're offline. Downloaded episodes still play.${saved}`
+    : `Couldn't reach the podcast service.${saved}`;
+  banner.querySelector("button").addEventListener("click", () => {
+    window.location.reload();
+  });
+  banner.hidden = false;
+}
+
+/**
+ * Keep the offline banner in step with the connection. Call once after
+ * the app shell (with #offlineBanner) has rendered.
+ */
+export function initOfflineBanner() {
+  window.addEventListener("offline", updateOfflineBanner);
+  window.addEventListener("online", updateOfflineBanner);
+  updateOfflineBanner();
+}
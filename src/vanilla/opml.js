@@ -0,0 +1,167 @@
+/**
+ * opml.js — OPML 2.0 import/export of subscribed shows.
+ *
+ * Pure helpers (no storage, no DOM rendering):
+ * - buildOpml()        → serialise subscribed shows to an OPML document.
+ * - parseOpml()        → read the podcast outlines from an OPML document.
+ * - matchOpmlEntries() → decide what an import would add, for the preview.
+ *
+ * Catalogue shows have no RSS feed of their own, so they are exported with
+ * an `htmlUrl` pointing at the show page plus an `earbuzzShowId` attribute;
+ * other apps ignore both, and re-importing here matches on them.
+ */
+
+function escapeXml(s = "") {
+  return String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function normTitle(s = "") {
+  return String(s).toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Serialise shows to OPML 2.0.
+ *
+ * @param {Array<{ showId: string, title: string, feedUrl?: string }>} shows
+ * @param {{ title?: string, appUrl?: string }} [options]
+ * @returns {string} OPML XML
+ */
+export function buildOpml(
+  shows,
+  { title = "The Healing Mic subscriptions", appUrl = "" } = {}
+) {
+  const outlines = shows.map((s) => {
+    const attrs = [
+      `text="${escapeXml(s.title)}"`,
+      `title="${escapeXml(s.title)}"`,
+    ];
+    if (s.feedUrl) {
+      attrs.unshift(`type="rss"`);
+      attrs.push(`xmlUrl="${escapeXml(s.feedUrl)}"`);
+    } else {
+      attrs.unshift(`type="link"`);
+      attrs.push(`earbuzzShowId="${escapeXml(s.showId)}"`);
+    }
+    if (appUrl) {
+      attrs.push(`htmlUrl="${escapeXml(`${appUrl}#/show/${s.showId}`)}"`);
+    }
+    return `    <outline ${attrs.join(" ")} />`;
+  });
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<opml version="2.0">`,
+    `  <head>`,
+    `    <title>${escapeXml(title)}</title>`,
+    `    <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+    `  </head>`,
+    `  <body>`,
+    ...outlines,
+    `  </body>`,
+    `</opml>`,
+    ``,
+  ].join("\n");
+}
+
+/**
+ * OpmlEntry {
+ *  title: string;
+ *  xmlUrl: string;   // RSS/Atom feed URL ("" for catalogue shows)
+ *  htmlUrl: string;
+ *  showId: string;   // catalogue show id when known ("" otherwise)
+ * }
+ */
+
+/**
+ * Parse an OPML document into a flat list of show entries.
+ * Nested category outlines are walked; only leaf outlines count.
+ *
+ * @param {string} xml
+ * @returns {Array<Object>} OpmlEntry[]
+ */
+export function parseOpml(xml) {
+  const doc = new DOMParser().parseFromString(xml, "application/xml");
+  if (
+    doc.querySelector("parsererror") ||
+    doc.documentElement.localName !== "opml"
+  ) {
+    throw new Error("Not a valid OPML file");
+  }
+
+  return [...doc.querySelectorAll("body outline")]
+    .filter((o) => !o.querySelector("outline"))
+    .map((o) => {
+      const htmlUrl = o.getAttribute("htmlUrl") || "";
+      const fromLink = htmlUrl.match(/#\/show\/(\d+)/)?.[1] || "";
+      return {
+        title: o.getAttribute("title") || o.getAttribute("text") || "",
+        xmlUrl: o.getAttribute("xmlUrl") || "",
+        htmlUrl,
+        showId: o.getAttribute("earbuzzShowId") || fromLink,
+      };
+    })
+    .filter((e) => e.title || e.xmlUrl || e.showId);
+}
+
+/**
+ * ImportMatch {
+ *  entry: OpmlEntry;
+ *  action: "catalogue" | "feed" | "skip";
+ *  reason: string;        // human readable, shown in the preview
+ *  show?: Object;         // matched catalogue preview (action "catalogue")
+ * }
+ */
+
+/**
+ * Match OPML entries to catalogue shows or feed URLs.
+ * Matching order: explicit show id → feed URL → exact title.
+ *
+ * @param {Array<Object>} entries OpmlEntry[]
+ * @param {{ previews: Array<Object>, subscribedIds: Set<string> }} context
+ *   previews: catalogue + feed previews; subscribedIds: show ids already favourited
+ * @returns {Array<Object>} ImportMatch[]
+ */
+export function matchOpmlEntries(entries, { previews, subscribedIds }) {
+  const byId = new Map(previews.map((p) => [String(p.id), p]));
+  const byFeed = new Map(
+    previews.filter((p) => p.feedUrl).map((p) => [p.feedUrl, p])
+  );
+  const byTitle = new Map(previews.map((p) => [normTitle(p.title), p]));
+  const seen = new Set();
+
+  return entries.map((entry) => {
+    const show =
+      (entry.showId && byId.get(entry.showId)) ||
+      (entry.xmlUrl && byFeed.get(entry.xmlUrl)) ||
+      byTitle.get(normTitle(entry.title));
+
+    if (show) {
+      const id = String(show.id);
+      if (subscribedIds.has(id) || seen.has(id)) {
+        return { entry, action: "skip", reason: "Already subscribed", show };
+      }
+      seen.add(id);
+      return {
+        entry,
+        action: "catalogue",
+        reason: show.feedUrl ? "Matched feed" : "Matched catalogue show",
+        show,
+      };
+    }
+
+    if (entry.xmlUrl) {
+      if (seen.has(entry.xmlUrl)) {
+        return { entry, action: "skip", reason: "Duplicate entry" };
+      }
+      seen.add(entry.xmlUrl);
+      return { entry, action: "feed", reason: "New RSS feed" };
+    }
+
+    return { entry, action: "skip", reason: "No matching show" };
+  });
+}
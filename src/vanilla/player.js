@@ -0,0 +1,155 @@
+/**
+ * player.js — Public player API and state store for The Healing Mic.
+ *
+ * The footer player (mountPlayer in app.js) owns the <audio> element and
+ * attaches itself here; everything else controls and observes playback
+ * through this module instead of touching the footer DOM:
+ *
+ *   import * as player from "./player.js";
+ *   player.load(track, { startAt: 90 });
+ *   const off = player.on("trackchange", ({ track }) => …);
+ *
+ * Events: "change" (any state change), "trackchange", "timeupdate",
+ * "play", "pause", "ended". Listeners receive the state snapshot.
+ *
+ * PlayerState {
+ *  track: { id, title, subtitle, src, cover? } | null;
+ *  playing: boolean;
+ *  currentTime: number;   // seconds
+ *  duration: number;      // seconds (0 while unknown)
+ * }
+ */
+
+export const PLAYER_EVENTS = [
+  "change",
+  "trackchange",
+  "timeupdate",
+  "play",
+  "pause",
+  "ended",
+];
+
+/* Immutable snapshot: a new object on every change (for React's useSyncExternalStore) */
+let state = Object.freeze({
+  track: null,
+  playing: false,
+  currentTime: 0,
+  duration: 0,
+});
+
+const listeners = new Map(PLAYER_EVENTS.map((e) => [e, new Set()]));
+
+/* Implementation attached by mountPlayer: { load, play, pause, seek, seekBy } */
+let impl = null;
+/* A load() that arrived before the footer player was mounted */
+let pendingLoad = null;
+
+/* =========================
+   STATE + EVENTS
+========================= */
+
+export function getState() {
+  return state;
+}
+
+export function currentTrack() {
+  return state.track;
+}
+
+/**
+ * Listen to a player event.
+ *
+ * @param {string} event one of PLAYER_EVENTS
+ * @param {(state: Object) => void} fn
+ * @returns {() => void} unsubscribe
+ */
+export function on(event, fn) {
+  const set = listeners.get(event);
+  if (!set) throw new Error(`Unknown player event "${event}"`);
+  set.add(fn);
+  return () => set.delete(fn);
+}
+
+/** Listen to every state change (shorthand for on("change", fn)). */
+export function subscribe(fn) {
+  return on("change", fn);
+}
+
+function emit(event) {
+  listeners.get(event).forEach((fn) => {
+    try {
+      fn(state);
+    } catch (err) {
+      console.error(`Player "${event}" listener failed`, err);
+    }
+  });
+}
+
+/**
+ * Merge a state change and notify listeners. For the footer player only.
+ *
+ * @param {Object} patch partial PlayerState
+ * @param {string} [event] specific event to emit before "change"
+ */
+export function updatePlayerState(patch, event) {
+  state = Object.freeze({ ...state, ...patch });
+  if (event) emit(event);
+  emit("change");
+}
+
+/**
+ * Attach the <audio>-backed implementation. For the footer player only.
+ *
+ * @param {{ load, play, pause, seek, seekBy }} player functions of the footer player
+ */
+export function attachPlayer(player) {
+  impl = player;
+  if (pendingLoad) {
+    const [track, options] = pendingLoad;
+    pendingLoad = null;
+    impl.load(track, options);
+  }
+}
+
+/* =========================
+   CONTROLS
+========================= */
+
+/**
+ * Load a track and start playing it.
+ * Loading the current track with `startAt` just seeks there.
+ *
+ * @param {Object} track { id, title, subtitle, src, cover? }
+ * @param {{ startAt?: number, remember?: boolean }} [options]
+ *   startAt: seconds (default: saved progress); remember: push the
+ *   previous track onto the "previous" stack (default true)
+ * @returns {Promise<void>}
+ */
+export async function load(track, options) {
+  if (!impl) {
+    pendingLoad = [track, options];
+    return;
+  }
+  await impl.load(track, options);
+}
+
+export async function play() {
+  await impl?.play();
+}
+
+export function pause() {
+  impl?.pause();
+}
+
+export function toggle() {
+  return state.playing ? pause() : play();
+}
+
+/** Seek to `t` seconds (clamped to the episode). */
+export function seek(t) {
+  impl?.seek(t);
+}
+
+export function seekBy(delta) {
+  impl?.seekBy(delta);
+}
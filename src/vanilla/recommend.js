@@ -0,0 +1,234 @@
+/**
+ * recommend.js — Show recommendations for The Healing Mic.
+ *
+ * Responsibilities:
+ * - Learn genre preferences from favourited shows/episodes and from the
+ *   time spent listening to each show (progress map).
+ * - Score catalogue shows by genre overlap, listening time and how recently
+ *   they were updated, skipping shows the user favourited or finished.
+ * - Explain each pick ("Because you like History").
+ * - Fall back to fresh shows across genres for new users with no data.
+ *
+ * Pure functions: callers pass in previews, favourites and progress.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/* Genre preference weights */
+const WEIGHT_FAV_SHOW = 3;
+const WEIGHT_FAV_EPISODE = 1;
+/* Per hour listened to a show, capped so one binge doesn't dominate */
+const WEIGHT_LISTEN_HOUR = 1;
+const MAX_LISTEN_HOURS = 5;
+
+/* Score mix */
+const SCORE_GENRE = 2;
+const SCORE_LISTEN = 1;
+const SCORE_RECENCY = 0.5;
+/* Freshness halves every this many days */
+const RECENCY_HALF_LIFE_DAYS = 90;
+
+/* =========================
+   SIGNALS
+========================= */
+
+function showIdOf(trackId = "") {
+  return String(trackId).split(":")[0];
+}
+
+/* Seconds listened per show id, from the progress map */
+function listeningByShow(progress) {
+  const seconds = new Map();
+  Object.entries(progress || {}).forEach(([id, p]) => {
+    if (!p) return;
+    const sec = p.finished ? p.duration || p.t || 0 : p.t || 0;
+    const showId = showIdOf(id);
+    seconds.set(showId, (seconds.get(showId) || 0) + sec);
+  });
+  return seconds;
+}
+
+/**
+ * Shows the user has finished: every episode of a loaded show is finished,
+ * or (when the show was not loaded this session) every episode they played.
+ */
+function finishedShows(progress, loadedShows) {
+  const played = new Map(); // showId → { finished, unfinished }
+  Object.entries(progress || {}).forEach(([id, p]) => {
+    if (!p) return;
+    const showId = showIdOf(id);
+    const counts = played.get(showId) || { finished: 0, unfinished: 0 };
+    counts[p.finished ? "finished" : "unfinished"]++;
+    played.set(showId, counts);
+  });
+
+  const loaded = new Map(loadedShows.map((s) => [String(s.id), s]));
+  const done = new Set();
+  played.forEach((counts, showId) => {
+    const show = loaded.get(showId);
+    if (show?.seasons) {
+      const ids = show.seasons.flatMap((season) =>
+        (season.episodes || []).map(
+          (ep) => `${show.id}:${season.season}:${ep.episode}`
+        )
+      );
+      if (ids.length && ids.every((id) => progress[id]?.finished)) {
+        done.add(showId);
+      }
+    } else if (counts.finished && !counts.unfinished) {
+      done.add(showId);
+    }
+  });
+  return done;
+}
+
+/* Genre id → preference weight */
+function genreAffinity(previewsById, favs, listened) {
+  const affinity = new Map();
+  const add = (showId, weight) => {
+    (previewsById.get(String(showId))?.genres || []).forEach((g) => {
+      affinity.set(g, (affinity.get(g) || 0) + weight);
+    });
+  };
+
+  favs.forEach((f) => {
+    const showId = f.showId || showIdOf(String(f.id).replace(/^show:/, ""));
+    add(
+      showId,
+      String(f.id).startsWith("show:") ? WEIGHT_FAV_SHOW : WEIGHT_FAV_EPISODE
+    );
+  });
+  listened.forEach((sec, showId) => {
+    add(showId, Math.min(sec / 3600, MAX_LISTEN_HOURS) * WEIGHT_LISTEN_HOUR);
+  });
+  return affinity;
+}
+
+function recency(updated, now) {
+  const t = new Date(updated).getTime();
+  if (!isFinite(t)) return 0;
+  const ageDays = Math.max(0, (now - t) / DAY_MS);
+  return Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+}
+
+/* =========================
+   RECOMMENDATIONS
+========================= */
+
+/**
+ * Recommendation { show: Object, score: number, reason: string }
+ */
+
+/**
+ * Newest shows, one per genre first so the row is varied.
+ */
+function freshPicks(previews, genreName, limit, skip = new Set()) {
+  const byDate = previews
+    .filter((s) => !skip.has(String(s.id)))
+    .sort((a, b) => new Date(b.updated) - new Date(a.updated));
+  const seenGenres = new Set();
+  const first = [];
+  const rest = [];
+  byDate.forEach((show) => {
+    const g = (show.genres || []).find((id) => !seenGenres.has(id));
+    if (g !== undefined) {
+      seenGenres.add(g);
+      first.push({ show, score: 0, reason: `New in ${genreName(g)}` });
+    } else {
+      rest.push({ show, score: 0, reason: "Recently updated" });
+    }
+  });
+  return [...first, ...rest].slice(0, limit);
+}
+
+/**
+ * Recommend shows from `previews`.
+ *
+ * @param {Array<Object>} previews catalogue show previews
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.favs] FavItem[]
+ * @param {Object} [options.progress] progress map { [episodeId]: { t, finished?, duration? } }
+ * @param {Array<Object>} [options.loadedShows] full shows, to tell finished shows apart
+ * @param {(id: number) => string} [options.genreName]
+ * @param {number} [options.limit]
+ * @param {number} [options.now] ms timestamp
+ * @returns {Array<Object>} Recommendation[], best first
+ */
+export function recommendShows(
+  previews,
+  {
+    favs = [],
+    progress = {},
+    loadedShows = [],
+    genreName = (id) => `Genre ${id}`,
+    limit = 10,
+    now = Date.now(),
+  } = {}
+) {
+  const previewsById = new Map(previews.map((s) => [String(s.id), s]));
+  const listened = listeningByShow(progress);
+  const affinity = genreAffinity(previewsById, favs, listened);
+
+  // New user: nothing to learn from yet
+  if (!affinity.size) return freshPicks(previews, genreName, limit);
+
+  const skip = finishedShows(progress, loadedShows);
+  favs.forEach((f) => {
+    if (String(f.id).startsWith("show:")) skip.add(String(f.showId));
+  });
+
+  const maxAffinity = Math.max(...affinity.values(), 1e-9);
+  const maxListened = Math.max(...listened.values(), 1);
+
+  const picks = previews
+    .filter((show) => !skip.has(String(show.id)))
+    .map((show) => {
+      const genres = show.genres || [];
+      const best = genres.reduce(
+        (top, g) =>
+          (affinity.get(g) || 0) > (affinity.get(top) || 0) ? g : top,
+        genres[0]
+      );
+      // Average so shows with many genres don't win by count alone
+      const genreScore = genres.length
+        ? genres.reduce((sum, g) => sum + (affinity.get(g) || 0), 0) /
+          genres.length /
+          maxAffinity
+        : 0;
+      const listenScore =
+        Math.log1p(listened.get(String(show.id)) || 0) /
+        Math.log1p(maxListened);
+      const fresh = recency(show.updated, now);
+
+      const parts = {
+        genre: SCORE_GENRE * genreScore,
+        listen: SCORE_LISTEN * listenScore,
+        recency: SCORE_RECENCY * fresh,
+      };
+      const top = Object.keys(parts).reduce((a, b) =>
+        parts[b] > parts[a] ? b : a
+      );
+      const reason =
+        top === "genre"
+          ? `Because you like ${genreName(best)}`
+          : top === "listen"
+          ? "You've started this show"
+          : "Recently updated";
+
+      return {
+        show,
+        score: parts.genre + parts.listen + parts.recency,
+        reason,
+      };
+    })
+    .filter((r) => r.score > SCORE_RECENCY * 0.05)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+
+  // Not enough matches: top up with fresh shows
+  if (picks.length < limit) {
+    picks.forEach((r) => skip.add(String(r.show.id)));
+    picks.push(...freshPicks(previews, genreName, limit - picks.length, skip));
+  }
+  return picks;
+}
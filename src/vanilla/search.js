@@ -0,0 +1,372 @@
+/**
+ * search.js — Full-text search for The Healing Mic.
+ *
+ * Responsibilities:
+ * - Build an in-memory index of show titles/descriptions (from the previews)
+ *   and episode titles/descriptions (from every show loaded this session).
+ * - Rank results by where and how well the query terms match.
+ * - Render grouped "Shows" and "Episodes" results with highlighted matches.
+ */
+import { fetchPreviews, getLoadedShows, genreNames } from "./app.js";
+import { escapeHtml } from "./html.js";
+
+/* =========================
+   TEXT HELPERS
+========================= */
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/** Lower-case and strip accents so "Café" matches "cafe". */
+function normalise(s = "") {
+  return String(s)
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "");
+}
+
+/*
+ * normalise() one character at a time, remembering for each character of
+ * the result where it came from in `text` (plus one entry for the end)
+ */
+function normaliseWithMap(text) {
+  let norm = "";
+  const map = [];
+  let i = 0;
+  for (const ch of text) {
+    const n = normalise(ch);
+    for (let k = 0; k < n.length; k++) map.push(i);
+    norm += n;
+    i += ch.length;
+  }
+  map.push(i);
+  return { norm, map };
+}
+
+/**
+ * Split a query into unique search terms.
+ *
+ * @param {string} query
+ * @returns {string[]}
+ */
+export function tokenize(query = "") {
+  return [
+    ...new Set(
+      normalise(query)
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean)
+    ),
+  ];
+}
+
+/**
+ * Wrap every occurrence of the query terms in <mark>, escaping the rest.
+ * Matching runs on the normalised text, so "cafe" marks "Café".
+ *
+ * @param {string} text
+ * @param {string[]} terms normalised terms (see tokenize)
+ * @returns {string} HTML
+ */
+export function highlight(text = "", terms = []) {
+  const raw = String(text);
+  if (!terms.length) return escapeHtml(raw);
+  const { norm, map } = normaliseWithMap(raw);
+  const re = new RegExp(terms.map(escapeRegExp).join("|"), "g");
+
+  let html = "";
+  let last = 0;
+  for (const m of norm.matchAll(re)) {
+    const from = map[m.index];
+    const to = map[m.index + m[0].length];
+    html += escapeHtml(raw.slice(last, from));
+    html += `<mark>${escapeHtml(raw.slice(from, to))}</mark>`;
+    last = to;
+  }
+  return html + escapeHtml(raw.slice(last));
+}
+
+/* Cut a window of text around the first matching term */
+function snippet(text = "", terms = [], size = 160) {
+  const norm = normalise(text);
+  let at = -1;
+  for (const t of terms) {
+    const i = norm.indexOf(t);
+    if (i >= 0 && (at < 0 || i < at)) at = i;
+  }
+  if (at < 0 || text.length <= size) {
+    return text.length > size ? text.slice(0, size - 1) + "…" : text;
+  }
+  const start = Math.max(0, at - Math.floor(size / 3));
+  const end = Math.min(text.length, start + size);
+  return (
+    (start > 0 ? "…" : "") +
+    text.slice(start, end) +
+    (end < text.length ? "…" : "")
+  );
+}
+
+/* =========================
+   INDEX + RANKING
+========================= */
+
+/**
+ * SearchDoc {
+ *  type: "show" | "episode";
+ *  id: string;           // show id or "showId:season:episode"
+ *  showId: string;
+ *  title: string;
+ *  description: string;
+ *  showTitle?: string;
+ *  image?: string;
+ *  season?: number;
+ *  episode?: number;
+ *  file?: string;
+ *  genres?: number[];
+ *  _title: string;       // normalised copies used for matching
+ *  _desc: string;
+ * }
+ */
+
+/**
+ * Build a search index from show previews and fully loaded shows.
+ *
+ * @param {Array<Object>} previews
+ * @param {Array<Object>} [shows]
+ * @returns {Array<Object>} SearchDoc[]
+ */
+export function buildIndex(previews = [], shows = []) {
+  const docs = [];
+
+  previews.forEach((p) => {
+    docs.push({
+      type: "show",
+      id: String(p.id),
+      showId: String(p.id),
+      title: p.title || "",
+      description: p.description || "",
+      image: p.image,
+      genres: p.genres || [],
+      _title: normalise(p.title),
+      _desc: normalise(p.description),
+    });
+  });
+
+  shows.forEach((show) => {
+    (show.seasons || []).forEach((season) => {
+      (season.episodes || []).forEach((ep) => {
+        const title = ep.title || `Episode ${ep.episode}`;
+        docs.push({
+          type: "episode",
+          id: `${show.id}:${season.season}:${ep.episode}`,
+          showId: String(show.id),
+          showTitle: show.title,
+          title,
+          description: ep.description || "",
+          image: season.image || show.image,
+          season: season.season,
+          episode: ep.episode,
+          file: ep.file || ep.audioUrl || "",
+          _title: normalise(title),
+          _desc: normalise(ep.description),
+        });
+      });
+    });
+  });
+
+  return docs;
+}
+
+/* Score a single term against a normalised field */
+function termScore(field, term, weight) {
+  const i = field.indexOf(term);
+  if (i < 0) return 0;
+  let score = weight;
+  // Bonus for matching at a word boundary / start of field
+  if (i === 0) score += weight;
+  else if (/[^\p{L}\p{N}]/u.test(field[i - 1])) score += weight / 2;
+  return score;
+}
+
+/**
+ * Rank index documents against a query.
+ * Every term must appear in the title or description (AND semantics).
+ *
+ * @param {Array<Object>} index
+ * @param {string} query
+ * @returns {Array<{ doc: Object, score: number }>} best first
+ */
+export function searchIndex(index, query) {
+  const terms = tokenize(query);
+  if (!terms.length) return [];
+  const phrase = normalise(query).trim();
+
+  const results = [];
+  for (const doc of index) {
+    let score = 0;
+    let matchedAll = true;
+
+    for (const term of terms) {
+      const s = termScore(doc._title, term, 10) + termScore(doc._desc, term, 2);
+      if (s === 0) {
+        matchedAll = false;
+        break;
+      }
+      score += s;
+    }
+    if (!matchedAll) continue;
+
+    if (doc._title === phrase) score += 50;
+    else if (terms.length > 1 && doc._title.includes(phrase)) score += 20;
+    if (doc.type === "show") score += 5;
+
+    results.push({ doc, score });
+  }
+
+  return results.sort(
+    (a, b) => b.score - a.score || a.doc.title.localeCompare(b.doc.title)
+  );
+}
+
+/* =========================
+   SEARCH PAGE
+========================= */
+
+/* Bumped by every renderSearch call, so a slow earlier search cannot
+   overwrite the results of a later one */
+let searchSeq = 0;
+
+/**
+ * Render the Search page for a query into #searchResults.
+ *
+ * @param {string} query
+ */
+export async function renderSearch(query = "") {
+  const container = document.querySelector("#searchResults");
+  const summary = document.querySelector("#searchSummary");
+  if (!container) return;
+  const seq = ++searchSeq;
+
+  const q = query.trim();
+  const input = document.querySelector("#searchInput");
+  if (input && input.value !== q) input.value = q;
+
+  if (!q) {
+    if (summary) summary.textContent = "";
+    container.innerHTML = `<p class="muted">Type a show or episode name in the search box.</p>`;
+    return;
+  }
+
+  container.innerHTML = `
+    <div class="loading">
+      <div class="spinner"></div>
+      <p>Searching…</p>
+    </div>
+  `;
+
+  let previews;
+  try {
+    previews = await fetchPreviews();
+  } catch (e) {
+    if (seq !== searchSeq) return;
+    container.innerHTML = `<p role="alert">Search failed: ${escapeHtml(
+      e.message || String(e)
+    )}</p>`;
+    return;
+  }
+  if (seq !== searchSeq) return;
+
+  const loaded = getLoadedShows();
+  const terms = tokenize(q);
+  const results = searchIndex(buildIndex(previews, loaded), q);
+  const shows = results.filter((r) => r.doc.type === "show");
+  const episodes = results.filter((r) => r.doc.type === "episode");
+
+  if (summary) {
+    summary.textContent =
+      `${results.length} result(s) for “${q}”` +
+      ` • episodes searched in ${loaded.length} loaded show(s)`;
+  }
+
+  container.innerHTML = "";
+  if (results.length === 0) {
+    container.innerHTML = `<p class="muted">No shows or episodes match “${escapeHtml(
+      q
+    )}”.</p>`;
+    return;
+  }
+
+  if (shows.length) {
+    const sec = document.createElement("section");
+    sec.innerHTML = `
+      <div class="group">Shows <span class="count">(${shows.length})</span></div>
+      <div class="episode-list"></div>
+    `;
+    const wrap = sec.querySelector(".episode-list");
+    shows.forEach(({ doc }) => {
+      const row = document.createElement("a");
+      row.className = "episode-row search-hit";
+      row.href = `#/show/${doc.showId}`;
+      row.innerHTML = `
+        <img class="ep-cover" src="${escapeHtml(doc.image || "")}" alt="">
+        <div>
+          <div class="ep-title">${highlight(doc.title, terms)}</div>
+          <div class="ep-summary">${highlight(
+            snippet(doc.description, terms),
+            terms
+          )}</div>
+          <div class="ep-meta">
+            <span class="muted">${genreNames(doc.genres).join(" • ")}</span>
+          </div>
+        </div>
+      `;
+      wrap.appendChild(row);
+    });
+    container.appendChild(sec);
+  }
+
+  if (episodes.length) {
+    const sec = document.createElement("section");
+    sec.innerHTML = `
+      <div class="group">Episodes <span class="count">(${episodes.length})</span></div>
+      <div class="episode-list"></div>
+    `;
+    const wrap = sec.querySelector(".episode-list");
+    episodes.forEach(({ doc }) => {
+      const row = document.createElement("div");
+      row.className = "episode-row search-hit";
+      row.innerHTML = `
+        <img class="ep-cover" src="${escapeHtml(doc.image || "")}" alt="">
+        <div>
+          <div class="ep-title">${highlight(doc.title, terms)}</div>
+          <div class="ep-summary">${highlight(
+            snippet(doc.description, terms),
+            terms
+          )}</div>
+          <div class="ep-meta">
+            <a class="muted" href="#/show/${doc.showId}">${escapeHtml(
+        doc.showTitle
+      )} • S${doc.season} • E${doc.episode}</a>
+          </div>
+        </div>
+        <div class="actions">
+          <button
+            class="action play"
+            type="button"
+            data-episode-id="${doc.id}"
+            data-audio-url="${escapeHtml(doc.file)}"
+            data-title="S${doc.season}E${doc.episode} — ${escapeHtml(
+        doc.title
+      )}"
+            data-subtitle="${escapeHtml(doc.showTitle)}"
+            data-cover="${escapeHtml(doc.image || "")}"
+          >
+            Play
+          </button>
+        </div>
+      `;
+      wrap.appendChild(row);
+    });
+    container.appendChild(sec);
+  }
+}
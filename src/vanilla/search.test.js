@@ -0,0 +1,28 @@
+import { describe, expect, it, vi } from "vitest";
+import { highlight, tokenize } from "./search.js";
+
+vi.mock("./app.js", () => ({
+  fetchPreviews: async () => [],
+  getLoadedShows: () => [],
+  genreNames: () => [],
+}));
+
+describe("highlight", () => {
+  it("marks accented text found by an unaccented query", () => {
+    expect(highlight("Café Stories", tokenize("cafe"))).toBe(
+      "<mark>Café</mark> Stories"
+    );
+  });
+
+  it("marks text with decomposed accents", () => {
+    expect(highlight("Cafe\u0301s", tokenize("cafe"))).toBe(
+      "<mark>Cafe\u0301</mark>s"
+    );
+  });
+
+  it("escapes everything outside and inside the marks", () => {
+    expect(highlight("<b>Tom & Jerry</b>", tokenize("tom"))).toBe(
+      "&lt;b&gt;<mark>Tom</mark> &amp; Jerry&lt;/b&gt;"
+    );
+  });
+});
@@ -0,0 +1,491 @@
+/**
+ * shortcuts.js — Global keyboard shortcuts for The Healing Mic.
+ *
+ * Responsibilities:
+ * - Map key combos ("m", "Shift+ArrowUp") and two-key sequences ("g h")
+ *   to player and navigation actions.
+ * - Ignore keys while the user is typing in a text field, select or textarea,
+ *   and leave Space/Enter to the focused button, link or <summary>.
+ * - Persist user rebindings in localStorage.
+ * - Render the "?" cheat-sheet overlay and the Settings rebinding table.
+ *
+ * Playback actions go through the player API (player.js); the others drive
+ * the footer controls (#bookmarkBtn, #speedSelect, #audio), so they behave
+ * exactly like using them.
+ */
+import { SPEED_OPTIONS } from "./app.js";
+import * as player from "./player.js";
+
+const SHORTCUTS_KEY = "earbuzz:shortcuts:v1";
+/** { [actionId]: string[] } — only actions the user rebound are stored */
+
+const SEQUENCE_TIMEOUT = 1000;
+
+/**
+ * ShortcutAction {
+ *  id: string;
+ *  label: string;
+ *  keys: string[];    // default bindings
+ * }
+ */
+export const SHORTCUT_ACTIONS = [
+  { id: "playPause", label: "Play / pause", keys: ["Space"] },
+  { id: "seekBack", label: "Back 10s", keys: ["j", "ArrowLeft"] },
+  { id: "seekForward", label: "Forward 10s", keys: ["l", "ArrowRight"] },
+  {
+    id: "speedUp",
+    label: "Faster",
+    keys: ["Shift+ArrowUp", "Shift+ArrowRight"],
+  },
+  {
+    id: "speedDown",
+    label: "Slower",
+    keys: ["Shift+ArrowDown", "Shift+ArrowLeft"],
+  },
+  { id: "mute", label: "Mute / unmute", keys: ["m"] },
+  { id: "bookmark", label: "Bookmark this moment", keys: ["b"] },
+  { id: "goHome", label: "Go to Home", keys: ["g h"] },
+  { id: "goFavourites", label: "Go to Favourites", keys: ["g f"] },
+  { id: "goBookmarks", label: "Go to Bookmarks", keys: ["g b"] },
+  { id: "goHistory", label: "Go to History", keys: ["g y"] },
+  { id: "goSearch", label: "Go to Search", keys: ["g s"] },
+  { id: "help", label: "Show keyboard shortcuts", keys: ["?"] },
+];
+
+/* =========================
+   BINDINGS STORAGE
+========================= */
+
+function readOverrides() {
+  try {
+    const raw = localStorage.getItem(SHORTCUTS_KEY);
+    const obj = raw ? JSON.parse(raw) : {};
+    return obj && typeof obj === "object" ? obj : {};
+  } catch {
+    return {};
+  }
+}
+
+function writeOverrides(map) {
+  localStorage.setItem(SHORTCUTS_KEY, JSON.stringify(map));
+}
+
+/**
+ * Current bindings for every action (defaults merged with user overrides).
+ *
+ * @returns {{ [actionId]: string[] }}
+ */
+export function loadBindings() {
+  const overrides = readOverrides();
+  const out = {};
+  SHORTCUT_ACTIONS.forEach((a) => {
+    out[a.id] = Array.isArray(overrides[a.id]) ? overrides[a.id] : a.keys;
+  });
+  return out;
+}
+
+/**
+ * Why `keys` cannot be bound to an action ("" when it can). A key that
+ * starts another action's sequence ("g" while "g h" is bound) would fire
+ * before the sequence is finished, and so would a sequence starting with
+ * another action's single key.
+ *
+ * @param {string} actionId
+ * @param {string} keys
+ * @returns {string}
+ */
+export function shortcutConflict(actionId, keys) {
+  const bindings = loadBindings();
+  const [first, second] = keys.split(" ");
+  const clashes = SHORTCUT_ACTIONS.filter(
+    (a) =>
+      a.id !== actionId &&
+      bindings[a.id].some((k) =>
+        second ? k === first : k.startsWith(`${keys} `)
+      )
+  ).map((a) => a.label);
+
+  if (!clashes.length) return "";
+  return second
+    ? `"${first}" is already the shortcut for ${clashes.join(", ")}.`
+    : `"${keys}" starts the shortcuts for ${clashes.join(", ")}.`;
+}
+
+/**
+ * Bind `keys` to an action. Any other action using the same key loses it.
+ *
+ * @param {string} actionId
+ * @param {string} keys combo or sequence, e.g. "Shift+ArrowUp" or "g h"
+ * @throws {Error} when the keys clash with a sequence (see shortcutConflict)
+ */
+export function rebindShortcut(actionId, keys) {
+  const conflict = shortcutConflict(actionId, keys);
+  if (conflict) throw new Error(conflict);
+
+  const bindings = loadBindings();
+  const overrides = readOverrides();
+  Object.entries(bindings).forEach(([id, list]) => {
+    if (id !== actionId && list.includes(keys)) {
+      overrides[id] = list.filter((k) => k !== keys);
+    }
+  });
+  overrides[actionId] = [keys];
+  writeOverrides(overrides);
+}
+
+export function resetShortcuts() {
+  localStorage.removeItem(SHORTCUTS_KEY);
+}
+
+/* =========================
+   KEY HANDLING
+========================= */
+
+const MODIFIER_KEYS = new Set(["Shift", "Control", "Alt", "Meta", "CapsLock"]);
+
+/**
+ * Normalise a keydown event to a combo string.
+ * Printable keys are lower-cased and Shift is implied ("?" not "Shift+?"),
+ * named keys keep Shift explicitly ("Shift+ArrowUp").
+ *
+ * @param {KeyboardEvent} e
+ * @returns {string} "" for bare modifier presses
+ */
+export function comboFromEvent(e) {
+  if (MODIFIER_KEYS.has(e.key)) return "";
+  const key = e.key === " " ? "Space" : e.key;
+  if (key.length === 1) return key.toLowerCase();
+  return e.shiftKey ? `Shift+${key}` : key;
+}
+
+const KEY_LABELS = {
+  ArrowLeft: "←",
+  ArrowRight: "→",
+  ArrowUp: "↑",
+  ArrowDown: "↓",
+  "<": "&lt;",
+  ">": "&gt;",
+  "&": "&amp;",
+};
+
+/* Human-readable HTML for a binding, e.g. "g h" → <kbd>G</kbd> then <kbd>H</kbd> */
+function prettyKeys(keys) {
+  return keys
+    .split(" ")
+    .map((combo) =>
+      combo
+        .split(/\+(?=.)/)
+        .map((k) => KEY_LABELS[k] || (k.length === 1 ? k.toUpperCase() : k))
+        .join("+")
+    )
+    .map((k) => `<kbd>${k}</kbd>`)
+    .join(" then ");
+}
+
+/* Inputs that take typed text; sliders, checkboxes and radios don't */
+const TEXT_INPUT_TYPES = new Set([
+  "text",
+  "search",
+  "url",
+  "email",
+  "tel",
+  "password",
+  "number",
+  "date",
+  "datetime-local",
+  "month",
+  "time",
+  "week",
+]);
+
+function isTyping(target) {
+  if (!target || !(target instanceof Element)) return false;
+  if (
+    target.isContentEditable ||
+    target.closest("select, textarea, [contenteditable]")
+  ) {
+    return true;
+  }
+  const input = target.closest("input");
+  return !!input && TEXT_INPUT_TYPES.has(input.type);
+}
+
+/* Controls that Space/Enter activate themselves */
+const ACTIVATABLE = "button, a[href], [role=button], summary";
+
+function activatesControl(target, combo) {
+  return (
+    (combo === "Space" || combo === "Enter") &&
+    target instanceof Element &&
+    !!target.closest(ACTIVATABLE)
+  );
+}
+
+/* Step the footer speed select one option up or down */
+function stepSpeed(dir) {
+  const select = document.querySelector("#speedSelect");
+  if (!select) return;
+  const rate = Number(select.value) || 1;
+  const next =
+    dir > 0
+      ? SPEED_OPTIONS.find((r) => r > rate) ?? SPEED_OPTIONS.at(-1)
+      : [...SPEED_OPTIONS].reverse().find((r) => r < rate) ?? SPEED_OPTIONS[0];
+  if (next === rate) return;
+  if (![...select.options].some((o) => Number(o.value) === next)) return;
+  select.value = String(next);
+  select.dispatchEvent(new Event("change", { bubbles: true }));
+}
+
+function runAction(id, navigate) {
+  const click = (sel) => document.querySelector(sel)?.click();
+  switch (id) {
+    case "playPause":
+      player.toggle();
+      break;
+    case "seekBack":
+      player.seekBy(-10);
+      break;
+    case "seekForward":
+      player.seekBy(10);
+      break;
+    case "speedUp":
+      stepSpeed(1);
+      break;
+    case "speedDown":
+      stepSpeed(-1);
+      break;
+    case "mute": {
+      const audio = document.querySelector("#audio");
+      if (audio) audio.muted = !audio.muted;
+      break;
+    }
+    case "bookmark":
+      click("#bookmarkBtn");
+      break;
+    case "goHome":
+      navigate("#/");
+      break;
+    case "goFavourites":
+      navigate("#/favourites");
+      break;
+    case "goBookmarks":
+      navigate("#/bookmarks");
+      break;
+    case "goHistory":
+      navigate("#/history");
+      break;
+    case "goSearch":
+      navigate("#/search");
+      setTimeout(() => document.querySelector("#searchInput")?.focus(), 0);
+      break;
+    case "help":
+      toggleCheatSheet();
+      break;
+    default:
+  }
+}
+
+/* Set while the Settings page is recording a new binding */
+let recording = false;
+
+/**
+ * Install the global keydown listener (once per page load).
+ *
+ * @param {(hash: string) => void} navigate the App router's navigate()
+ */
+export function initShortcuts(navigate) {
+  if (window.__earbuzzShortcutsBound) return;
+  window.__earbuzzShortcutsBound = true;
+
+  let pending = null; // first key of a sequence, e.g. "g"
+  let pendingTimer = null;
+
+  function lookup(keys, bindings) {
+    return Object.keys(bindings).find((id) => bindings[id].includes(keys));
+  }
+
+  function isPrefix(keys, bindings) {
+    return Object.values(bindings).some((list) =>
+      list.some((k) => k.startsWith(`${keys} `))
+    );
+  }
+
+  document.addEventListener("keydown", (e) => {
+    if (recording || e.defaultPrevented) return;
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    if (isTyping(e.target)) return;
+
+    const combo = comboFromEvent(e);
+    if (!combo || activatesControl(e.target, combo)) return;
+
+    if (combo === "Escape" && closeCheatSheet()) {
+      e.preventDefault();
+      return;
+    }
+
+    const bindings = loadBindings();
+    const candidates = pending ? [`${pending} ${combo}`, combo] : [combo];
+    clearTimeout(pendingTimer);
+    pending = null;
+
+    for (const keys of candidates) {
+      const action = lookup(keys, bindings);
+      if (action) {
+        e.preventDefault();
+        runAction(action, navigate);
+        return;
+      }
+      if (isPrefix(keys, bindings)) {
+        e.preventDefault();
+        pending = keys;
+        pendingTimer = setTimeout(() => {
+          pending = null;
+        }, SEQUENCE_TIMEOUT);
+        return;
+      }
+    }
+  });
+}
+
+/* =========================
+   CHEAT-SHEET OVERLAY
+========================= */
+
+function closeCheatSheet() {
+  const el = document.querySelector("#shortcutOverlay");
+  if (!el) return false;
+  el.remove();
+  return true;
+}
+
+function toggleCheatSheet() {
+  if (closeCheatSheet()) return;
+
+  const bindings = loadBindings();
+  const overlay = document.createElement("div");
+  overlay.id = "shortcutOverlay";
+  overlay.className = "shortcut-overlay";
+  overlay.innerHTML = `
+    <div class="shortcut-dialog" role="dialog" aria-modal="true" aria-labelledby="shortcutTitle">
+      <div class="queue-head">
+        <strong id="shortcutTitle">Keyboard shortcuts</strong>
+        <button class="btn" type="button" data-close>Close</button>
+      </div>
+      <table class="shortcut-table">
+        <tbody>
+          ${SHORTCUT_ACTIONS.map(
+            (a) => `
+            <tr>
+              <td>${a.label}</td>
+              <td>${bindings[a.id].map(prettyKeys).join(", ") || "—"}</td>
+            </tr>`
+          ).join("")}
+        </tbody>
+      </table>
+      <p class="muted">Change these on the <a href="#/settings">Settings</a> page.</p>
+    </div>
+  `;
+
+  overlay.addEventListener("click", (e) => {
+    if (
+      e.target === overlay ||
+      e.target.closest("[data-close]") ||
+      e.target.closest("a")
+    ) {
+      closeCheatSheet();
+    }
+  });
+
+  document.body.appendChild(overlay);
+  overlay.querySelector("[data-close]").focus();
+}
+
+/* =========================
+   SETTINGS: REBINDING
+========================= */
+
+/**
+ * Render the rebinding table into #shortcutSettings on the Settings page.
+ */
+export function renderShortcutSettings() {
+  const container = document.querySelector("#shortcutSettings");
+  const resetBtn = document.querySelector("#resetShortcuts");
+  if (!container) return;
+
+  function render(error = "") {
+    const bindings = loadBindings();
+    container.innerHTML = `
+      <table class="shortcut-table">
+        <tbody>
+          ${SHORTCUT_ACTIONS.map(
+            (a) => `
+            <tr>
+              <td>${a.label}</td>
+              <td>${bindings[a.id].map(prettyKeys).join(", ") || "—"}</td>
+              <td>
+                <button class="btn" type="button" data-rebind="${a.id}">
+                  Change
+                </button>
+              </td>
+            </tr>`
+          ).join("")}
+        </tbody>
+      </table>
+      <p class="muted" role="status"></p>
+    `;
+    container.querySelector('[role="status"]').textContent = error
+      ? `${error} Pick other keys.`
+      : "";
+  }
+
+  container.addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-rebind]");
+    if (!btn || recording) return;
+
+    recording = true;
+    btn.textContent = "Press keys… (Esc to cancel)";
+    const keys = [];
+    let timer = null;
+
+    const finish = (save) => {
+      clearTimeout(timer);
+      document.removeEventListener("keydown", onKey, true);
+      recording = false;
+      if (save && keys.length) {
+        try {
+          rebindShortcut(btn.dataset.rebind, keys.join(" "));
+        } catch (err) {
+          render(err.message);
+          return;
+        }
+      }
+      render();
+    };
+
+    // Record one combo, or two in a row for a sequence like "g h"
+    function onKey(ev) {
+      ev.preventDefault();
+      ev.stopPropagation();
+      if (ev.key === "Escape") {
+        finish(false);
+        return;
+      }
+      const combo = comboFromEvent(ev);
+      if (!combo) return;
+      keys.push(combo);
+      btn.innerHTML = `${prettyKeys(keys.join(" "))} …`;
+      clearTimeout(timer);
+      if (keys.length >= 2) finish(true);
+      else timer = setTimeout(() => finish(true), 800);
+    }
+
+    document.addEventListener("keydown", onKey, true);
+  });
+
+  resetBtn?.addEventListener("click", () => {
+    resetShortcuts();
+    render();
+  });
+
+  render();
+}
@@ -0,0 +1,83 @@
+// @vitest-environment jsdom
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import * as player from "./player.js";
+import {
+  initShortcuts,
+  loadBindings,
+  rebindShortcut,
+  shortcutConflict,
+} from "./shortcuts.js";
+
+vi.mock("./app.js", () => ({ SPEED_OPTIONS: [1, 1.5, 2] }));
+vi.mock("./player.js", () => ({ toggle: vi.fn(), seekBy: vi.fn() }));
+
+beforeEach(() => {
+  const items = new Map();
+  vi.stubGlobal("localStorage", {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  });
+});
+
+describe("shortcutConflict", () => {
+  it("rejects a key that starts another action's sequence", () => {
+    expect(shortcutConflict("mute", "g")).toMatch(/Go to Home/);
+    expect(() => rebindShortcut("mute", "g")).toThrow(/starts the shortcuts/);
+    expect(loadBindings().mute).toEqual(["m"]);
+  });
+
+  it("rejects a sequence that starts with another action's key", () => {
+    expect(shortcutConflict("goHome", "m h")).toMatch(/Mute/);
+  });
+
+  it("allows keys that do not clash", () => {
+    expect(shortcutConflict("mute", "x")).toBe("");
+    expect(shortcutConflict("goHome", "g x")).toBe("");
+    rebindShortcut("mute", "x");
+    expect(loadBindings().mute).toEqual(["x"]);
+  });
+});
+
+describe("initShortcuts", () => {
+  const press = (target, key) => {
+    const e = new KeyboardEvent("keydown", {
+      key,
+      bubbles: true,
+      cancelable: true,
+    });
+    target.dispatchEvent(e);
+    return e;
+  };
+
+  beforeEach(() => {
+    initShortcuts(vi.fn());
+    vi.mocked(player.toggle).mockClear();
+    document.body.innerHTML = `
+      <button id="btn"><span>Play</span></button>
+      <a id="link" href="#/">Home</a>
+      <div id="role" role="button" tabindex="0">Menu</div>
+      <details><summary id="summary">More</summary></details>
+      <p id="text">Text</p>
+    `;
+  });
+
+  it("leaves Space and Enter to focused buttons, links and summaries", () => {
+    ["#btn span", "#link", "#role", "#summary"].forEach((sel) => {
+      const target = document.querySelector(sel);
+      expect(press(target, " ").defaultPrevented).toBe(false);
+      expect(press(target, "Enter").defaultPrevented).toBe(false);
+    });
+    expect(player.toggle).not.toHaveBeenCalled();
+  });
+
+  it("still handles Space elsewhere and other keys on controls", () => {
+    expect(press(document.querySelector("#text"), " ").defaultPrevented).toBe(
+      true
+    );
+    expect(player.toggle).toHaveBeenCalledOnce();
+
+    press(document.querySelector("#btn"), "ArrowRight");
+    expect(player.seekBy).toHaveBeenCalledWith(10);
+  });
+});
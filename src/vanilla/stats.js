@@ -0,0 +1,439 @@
+/**
+ * stats.js — Listening statistics for The Healing Mic.
+ *
+ * Responsibilities:
+ * - Summarise play sessions (listening history) and the progress map into
+ *   totals, hours per week, time per show / genre, finished vs abandoned
+ *   episodes and listening streaks for a date range.
+ * - Render the Stats page with small inline SVG charts (no chart library,
+ *   no network).
+ */
+import {
+  fetchPreviews,
+  genreNames,
+  loadHistory,
+  loadProgressMap,
+  showIdFromTrackId,
+} from "./app.js";
+import { escapeHtml } from "./html.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+/* An unfinished episode not played for this long counts as abandoned */
+const ABANDONED_AFTER_DAYS = 14;
+
+/* =========================
+   HELPERS
+========================= */
+
+/* Local calendar day key, e.g. "2024-03-09" */
+function dayKey(ts) {
+  const d = new Date(ts);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(
+    2,
+    "0"
+  )}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+/* Monday 00:00 (local) of the week containing ts */
+function weekStart(ts) {
+  const d = new Date(ts);
+  d.setHours(0, 0, 0, 0);
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return d.getTime();
+}
+
+function fmtHours(sec) {
+  const h = sec / 3600;
+  if (h >= 10) return `${Math.round(h)} h`;
+  if (h >= 1) return `${h.toFixed(1)} h`;
+  return `${Math.round(sec / 60)} min`;
+}
+
+function addTo(map, key, value) {
+  map.set(key, (map.get(key) || 0) + value);
+}
+
+/* Longest run of consecutive days in a sorted list of day keys */
+function longestRun(days) {
+  let best = 0;
+  let run = 0;
+  let prev = null;
+  days.forEach((key) => {
+    const t = new Date(`${key}T12:00:00`).getTime();
+    run = prev !== null && Math.round((t - prev) / DAY_MS) === 1 ? run + 1 : 1;
+    best = Math.max(best, run);
+    prev = t;
+  });
+  return best;
+}
+
+/* =========================
+   STATS
+========================= */
+
+/**
+ * Stats {
+ *  totalSeconds: number;
+ *  sessions: number;
+ *  episodes: number;                       // distinct episodes played
+ *  weeks: Array<{ start: number, seconds: number }>;
+ *  shows: Array<{ showId, title, seconds }>;   // most listened first
+ *  genres: Array<{ name, seconds }>;
+ *  finished: number;
+ *  inProgress: number;
+ *  abandoned: number;
+ *  currentStreak: number;                  // days, ending today/yesterday
+ *  longestStreak: number;                  // days, within the range
+ *  activeDays: number;
+ * }
+ */
+
+/**
+ * Compute listening stats for sessions that started within [from, to].
+ * Listening time comes from the sessions; finished / in progress /
+ * abandoned counts come from the progress map (by `updatedAt`).
+ *
+ * @param {{ sessions: Array<Object>, progress: Object, previews: Array<Object> }} data
+ * @param {{ from?: number, to?: number, now?: number }} [range] ms timestamps
+ * @returns {Object} Stats
+ */
+export function computeStats(
+  { sessions, progress, previews },
+  { from = -Infinity, to = Infinity, now = Date.now() } = {}
+) {
+  const inRange = sessions.filter(
+    (s) => s.startedAt >= from && s.startedAt <= to
+  );
+  const genresByShow = new Map(
+    previews.map((p) => [String(p.id), p.genres || []])
+  );
+
+  const byWeek = new Map();
+  const byShow = new Map();
+  const showTitles = new Map();
+  const byGenre = new Map();
+  const days = new Set();
+  const lastPlayed = new Map();
+  let totalSeconds = 0;
+
+  inRange.forEach((s) => {
+    const sec = Number(s.listened) || 0;
+    const showId = showIdFromTrackId(s.trackId);
+    totalSeconds += sec;
+    addTo(byWeek, weekStart(s.startedAt), sec);
+    addTo(byShow, showId, sec);
+    showTitles.set(showId, s.track?.subtitle || showId);
+    // A show in several genres counts toward each of them
+    genreNames(genresByShow.get(showId) || []).forEach((g) =>
+      addTo(byGenre, g, sec)
+    );
+    days.add(dayKey(s.startedAt));
+    lastPlayed.set(
+      s.trackId,
+      Math.max(lastPlayed.get(s.trackId) || 0, s.endedAt || s.startedAt)
+    );
+  });
+
+  // Fill empty weeks so the chart shows gaps
+  const weeks = [];
+  if (byWeek.size) {
+    const first = Math.min(...byWeek.keys());
+    const last = Math.max(...byWeek.keys());
+    for (let w = first; w <= last; w = weekStart(w + 8 * DAY_MS)) {
+      weeks.push({ start: w, seconds: byWeek.get(w) || 0 });
+    }
+  }
+
+  // Finished vs abandoned, from the progress map (which also covers
+  // episodes played before history was kept). Entries are placed in the
+  // range by when they were last played; older entries without that date
+  // only count when the range is unbounded.
+  let finished = 0;
+  let inProgress = 0;
+  let abandoned = 0;
+  const allTime = from === -Infinity && to === Infinity;
+  Object.entries(progress || {}).forEach(([trackId, p]) => {
+    if (!p) return;
+    const ts = p.updatedAt ?? lastPlayed.get(trackId);
+    if (ts === undefined ? !allTime : ts < from || ts > to) return;
+    if (p.finished) finished++;
+    else if (ts === undefined || now - ts > ABANDONED_AFTER_DAYS * DAY_MS) {
+      abandoned++;
+    } else inProgress++;
+  });
+
+  // Streaks: consecutive days with any listening
+  const sortedDays = [...days].sort();
+  const allDays = new Set(sessions.map((s) => dayKey(s.startedAt)));
+  let currentStreak = 0;
+  const cursor = new Date(now);
+  if (!allDays.has(dayKey(cursor))) cursor.setDate(cursor.getDate() - 1);
+  while (allDays.has(dayKey(cursor))) {
+    currentStreak++;
+    cursor.setDate(cursor.getDate() - 1);
+  }
+
+  return {
+    totalSeconds,
+    sessions: inRange.length,
+    episodes: lastPlayed.size,
+    weeks,
+    shows: [...byShow.entries()]
+      .map(([showId, seconds]) => ({
+        showId,
+        title: showTitles.get(showId),
+        seconds,
+      }))
+      .sort((a, b) => b.seconds - a.seconds),
+    genres: [...byGenre.entries()]
+      .map(([name, seconds]) => ({ name, seconds }))
+      .sort((a, b) => b.seconds - a.seconds),
+    finished,
+    inProgress,
+    abandoned,
+    currentStreak,
+    longestStreak: longestRun(sortedDays),
+    activeDays: days.size,
+  };
+}
+
+/* =========================
+   CHARTS (inline SVG)
+========================= */
+
+/* Vertical bars, e.g. hours per week */
+function columnChart(items, { label, value, format }) {
+  if (!items.length) return `<p class="muted">No data in this range.</p>`;
+  const w = 640;
+  const h = 180;
+  const pad = 24;
+  const max = Math.max(...items.map(value), 1);
+  const bw = (w - pad * 2) / items.length;
+
+  const bars = items
+    .map((it, i) => {
+      const bh = ((h - pad * 2) * value(it)) / max;
+      const x = pad + i * bw;
+      const y = h - pad - bh;
+      return `
+        <g>
+          <title>${escapeHtml(label(it))}: ${format(value(it))}</title>
+          <rect x="${x + bw * 0.15}" y="${y}" width="${Math.max(
+        bw * 0.7,
+        1
+      )}" height="${bh}" rx="3" />
+        </g>`;
+    })
+    .join("");
+
+  const first = escapeHtml(label(items[0]));
+  const last = escapeHtml(label(items[items.length - 1]));
+  return `
+    <svg class="chart" viewBox="0 0 ${w} ${h}" role="img"
+      aria-label="Bar chart, ${items.length} bars, max ${format(max)}">
+      <line x1="${pad}" y1="${h - pad}" x2="${w - pad}" y2="${
+    h - pad
+  }" class="axis" />
+      <text x="${pad}" y="${pad - 8}" class="chart-label">${format(max)}</text>
+      ${bars}
+      <text x="${pad}" y="${h - 6}" class="chart-label">${first}</text>
+      <text x="${w - pad}" y="${
+    h - 6
+  }" class="chart-label" text-anchor="end">${last}</text>
+    </svg>
+  `;
+}
+
+/* Horizontal bars with labels, e.g. time per show */
+function barList(items, { label, value, format, limit = 8 }) {
+  if (!items.length) return `<p class="muted">No data in this range.</p>`;
+  const max = Math.max(...items.map(value), 1);
+  return `
+    <ul class="bar-list">
+      ${items
+        .slice(0, limit)
+        .map(
+          (it) => `
+        <li>
+          <span class="bar-label">${escapeHtml(label(it))}</span>
+          <span class="bar-track">
+            <span class="bar" style="width: ${(value(it) / max) * 100}%"></span>
+          </span>
+          <span class="bar-value">${format(value(it))}</span>
+        </li>`
+        )
+        .join("")}
+    </ul>
+  `;
+}
+
+/* One stacked bar for finished / in progress / abandoned */
+function stackedBar(parts) {
+  const total = parts.reduce((sum, p) => sum + p.value, 0);
+  if (!total) return `<p class="muted">No episodes played in this range.</p>`;
+  return `
+    <div class="stack-bar" role="img" aria-label="${parts
+      .map((p) => `${p.label}: ${p.value}`)
+      .join(", ")}">
+      ${parts
+        .filter((p) => p.value)
+        .map(
+          (p) =>
+            `<span class="${p.className}" style="flex: ${p.value}" title="${p.label}: ${p.value}"></span>`
+        )
+        .join("")}
+    </div>
+    <ul class="stack-legend">
+      ${parts
+        .map(
+          (p) =>
+            `<li><span class="swatch ${p.className}"></span>${p.label} <strong>${p.value}</strong></li>`
+        )
+        .join("")}
+    </ul>
+  `;
+}
+
+/* =========================
+   STATS PAGE
+========================= */
+
+/**
+ * Render the Stats page into #statsContainer, with the #statsFrom /
+ * #statsTo range inputs and [data-range] preset buttons.
+ */
+export async function renderStats() {
+  const container = document.querySelector("#statsContainer");
+  const fromInput = document.querySelector("#statsFrom");
+  const toInput = document.querySelector("#statsTo");
+  if (!container) return;
+
+  container.innerHTML = `
+    <div class="loading">
+      <div class="spinner"></div>
+      <p>Crunching your listening data…</p>
+    </div>
+  `;
+
+  // Genres come from the show previews; stats still work without them
+  let previews = [];
+  try {
+    previews = await fetchPreviews();
+  } catch (err) {
+    console.warn("Stats: could not load show genres", err);
+  }
+
+  function range() {
+    return {
+      from: fromInput?.value
+        ? new Date(`${fromInput.value}T00:00:00`).getTime()
+        : -Infinity,
+      to: toInput?.value
+        ? new Date(`${toInput.value}T23:59:59.999`).getTime()
+        : Infinity,
+    };
+  }
+
+  function render() {
+    const stats = computeStats(
+      { sessions: loadHistory(), progress: loadProgressMap(), previews },
+      range()
+    );
+
+    container.innerHTML = `
+      <div class="stat-tiles">
+        <div class="stat-tile">
+          <strong>${fmtHours(stats.totalSeconds)}</strong>
+          <span class="muted">listened</span>
+        </div>
+        <div class="stat-tile">
+          <strong>${stats.episodes}</strong>
+          <span class="muted">episodes · ${stats.sessions} sessions</span>
+        </div>
+        <div class="stat-tile">
+          <strong>${stats.currentStreak} day${
+      stats.currentStreak === 1 ? "" : "s"
+    }</strong>
+          <span class="muted">current streak</span>
+        </div>
+        <div class="stat-tile">
+          <strong>${stats.longestStreak} day${
+      stats.longestStreak === 1 ? "" : "s"
+    }</strong>
+          <span class="muted">longest streak · ${
+            stats.activeDays
+          } active days</span>
+        </div>
+      </div>
+
+      <section class="stat-section">
+        <h3>Hours per week</h3>
+        ${columnChart(stats.weeks, {
+          label: (w) =>
+            `Week of ${new Date(w.start).toLocaleDateString(undefined, {
+              month: "short",
+              day: "numeric",
+            })}`,
+          value: (w) => w.seconds,
+          format: fmtHours,
+        })}
+      </section>
+
+      <section class="stat-section">
+        <h3>Time per show</h3>
+        ${barList(stats.shows, {
+          label: (s) => s.title,
+          value: (s) => s.seconds,
+          format: fmtHours,
+        })}
+      </section>
+
+      <section class="stat-section">
+        <h3>Time per genre</h3>
+        ${barList(stats.genres, {
+          label: (g) => g.name,
+          value: (g) => g.seconds,
+          format: fmtHours,
+        })}
+        <p class="muted">A show in several genres counts toward each.</p>
+      </section>
+
+      <section class="stat-section">
+        <h3>Finished vs abandoned</h3>
+        ${stackedBar([
+          {
+            label: "Finished",
+            value: stats.finished,
+            className: "is-finished",
+          },
+          {
+            label: "In progress",
+            value: stats.inProgress,
+            className: "is-progress",
+          },
+          {
+            label: `Abandoned (${ABANDONED_AFTER_DAYS}+ days untouched)`,
+            value: stats.abandoned,
+            className: "is-abandoned",
+          },
+        ])}
+      </section>
+    `;
+  }
+
+  fromInput?.addEventListener("change", render);
+  toInput?.addEventListener("change", render);
+
+  document.querySelectorAll("[data-range]").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const days = Number(btn.dataset.range);
+      if (fromInput) {
+        fromInput.value = days ? dayKey(Date.now() - days * DAY_MS) : "";
+      }
+      if (toInput) toInput.value = "";
+      render();
+    });
+  });
+
+  render();
+}
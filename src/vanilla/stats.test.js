@@ -0,0 +1,56 @@
+import { describe, expect, it, vi } from "vitest";
+import { computeStats } from "./stats.js";
+
+vi.mock("./app.js", () => ({
+  fetchPreviews: async () => [],
+  genreNames: (ids) => ids.map((id) => `Genre ${id}`),
+  loadHistory: () => [],
+  loadProgressMap: () => ({}),
+  showIdFromTrackId: (id) => String(id).split(":")[0],
+}));
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = new Date("2024-06-30T12:00:00").getTime();
+
+describe("computeStats", () => {
+  const progress = {
+    "1:1:1": { t: 1800, finished: true, updatedAt: now - 2 * DAY },
+    "1:1:2": { t: 300, updatedAt: now - 1 * DAY },
+    "1:1:3": { t: 60, updatedAt: now - 30 * DAY },
+    // Saved before progress had dates
+    "2:1:1": { t: 900, finished: true },
+  };
+
+  it("counts episodes from the progress map, not only from history", () => {
+    const stats = computeStats(
+      { sessions: [], progress, previews: [] },
+      { now }
+    );
+    expect(stats).toMatchObject({ finished: 2, inProgress: 1, abandoned: 1 });
+  });
+
+  it("places progress entries in the range by updatedAt", () => {
+    const stats = computeStats(
+      { sessions: [], progress, previews: [] },
+      { from: now - 7 * DAY, to: now, now }
+    );
+    expect(stats).toMatchObject({ finished: 1, inProgress: 1, abandoned: 0 });
+  });
+
+  it("keeps history for listening time", () => {
+    const sessions = [
+      {
+        trackId: "1:1:2",
+        startedAt: now - DAY,
+        endedAt: now - DAY + 300000,
+        listened: 300,
+        track: { subtitle: "Show One" },
+      },
+    ];
+    const stats = computeStats({ sessions, progress, previews: [] }, { now });
+    expect(stats.totalSeconds).toBe(300);
+    expect(stats.shows).toEqual([
+      { showId: "1", title: "Show One", seconds: 300 },
+    ]);
+  });
+});
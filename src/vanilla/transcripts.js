@@ -0,0 +1,547 @@
+/**
+ * transcripts.js — Synchronised episode transcripts for The Healing Mic.
+ *
+ * Responsibilities:
+ * - Parse WebVTT, SRT and Podcasting 2.0 JSON transcripts into cues.
+ * - Load a track's transcript from its feed URL, or from a URL / file the
+ *   user provides (remembered in localStorage).
+ * - Render the transcript panel in the footer: highlight and follow the
+ *   current cue, seek on click, and search within the text.
+ *
+ * The footer player calls syncTranscript() from `timeupdate`; clicking a cue
+ * plays from there through player.load(track, { startAt }).
+ *
+ * Cue { start: number; end: number; text: string; speaker?: string }
+ * (times in seconds, list sorted by start)
+ */
+import * as player from "./player.js";
+import { fmtClock } from "./format.js";
+
+const TRANSCRIPTS_KEY = "earbuzz:transcripts:v1";
+/** { [trackId]: Cue[] } — transcripts the user loaded by URL or file */
+
+/* localStorage (~5 MB) is shared with the rest of the app: stored
+   transcripts get at most about 1 MB of it */
+const MAX_STORED_CHARS = 1000000;
+
+/* Podcasting 2.0 JSON is often word-level; merge segments up to this long */
+const MAX_MERGED_CUE_SECONDS = 12;
+
+/* Transcripts resolved this session (including empty results), by track id */
+const cache = new Map();
+
+/* =========================
+   PARSING
+========================= */
+
+/* "01:02:03.456", "02:03,456" or "123.4" → seconds */
+function parseTimestamp(s) {
+  const parts = String(s).trim().replace(",", ".").split(":").map(Number);
+  if (parts.some((n) => !isFinite(n))) return NaN;
+  return parts.reduce((acc, n) => acc * 60 + n, 0);
+}
+
+/* Strip cue markup; a leading <v Speaker> voice tag becomes the speaker */
+function cleanCueText(raw) {
+  const voice = raw.match(/^<v(?:\.[^\s>]*)?\s+([^>]+)>/);
+  const text = raw
+    .replace(/<[^>]*>/g, "")
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&nbsp;/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  return { text, speaker: voice ? voice[1].trim() : "" };
+}
+
+function toCue(start, end, raw) {
+  const { text, speaker } = cleanCueText(raw);
+  return {
+    start,
+    end: isFinite(end) && end > start ? end : start,
+    text,
+    ...(speaker ? { speaker } : {}),
+  };
+}
+
+/* Shared by VTT and SRT: blocks separated by blank lines with a "-->" line */
+function parseTimedBlocks(text) {
+  const cues = [];
+  text
+    .replace(/\r\n?/g, "\n")
+    .split(/\n{2,}/)
+    .forEach((block) => {
+      const lines = block.split("\n");
+      const at = lines.findIndex((l) => l.includes("-->"));
+      if (at < 0) return;
+      const [from, rest = ""] = lines[at].split("-->");
+      const start = parseTimestamp(from);
+      const end = parseTimestamp(rest.trim().split(/\s+/)[0]);
+      if (!isFinite(start)) return;
+      const cue = toCue(start, end, lines.slice(at + 1).join(" "));
+      if (cue.text) cues.push(cue);
+    });
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Parse a WebVTT transcript. NOTE, STYLE and REGION blocks are skipped.
+ *
+ * @param {string} text
+ * @returns {Array<Object>} Cue[]
+ */
+export function parseVtt(text) {
+  const body = String(text).replace(/^\uFEFF/, "");
+  if (!/^WEBVTT/.test(body)) throw new Error("Not a WebVTT file");
+  return parseTimedBlocks(
+    body
+      .replace(/\r\n?/g, "\n")
+      .split(/\n{2,}/)
+      .filter((b) => !/^(WEBVTT|NOTE|STYLE|REGION)\b/.test(b))
+      .join("\n\n")
+  );
+}
+
+/**
+ * Parse an SRT transcript.
+ *
+ * @param {string} text
+ * @returns {Array<Object>} Cue[]
+ */
+export function parseSrt(text) {
+  return parseTimedBlocks(String(text).replace(/^\uFEFF/, ""));
+}
+
+/**
+ * Parse a Podcasting 2.0 JSON transcript (`{ version, segments: [...] }`).
+ * Consecutive segments by the same speaker are merged into sentence-sized
+ * cues so word-level files stay readable.
+ *
+ * @param {Object|string} json
+ * @returns {Array<Object>} Cue[]
+ */
+export function parseTranscriptJson(json) {
+  const data = typeof json === "string" ? JSON.parse(json) : json;
+  if (!data || !Array.isArray(data.segments)) {
+    throw new Error("Not a Podcasting 2.0 transcript file");
+  }
+
+  const cues = [];
+  let cur = null;
+  data.segments
+    .filter((s) => s && isFinite(Number(s.startTime)))
+    .sort((a, b) => a.startTime - b.startTime)
+    .forEach((s) => {
+      const seg = toCue(Number(s.startTime), Number(s.endTime), s.body || "");
+      const speaker = s.speaker ? String(s.speaker).trim() : "";
+      if (!seg.text) return;
+
+      const joinable =
+        cur &&
+        (cur.speaker || "") === speaker &&
+        !/[.?!…]$/.test(cur.text) &&
+        seg.end - cur.start <= MAX_MERGED_CUE_SECONDS;
+      if (joinable) {
+        cur.text += ` ${seg.text}`;
+        cur.end = Math.max(cur.end, seg.end);
+      } else {
+        cur = { ...seg, ...(speaker ? { speaker } : {}) };
+        cues.push(cur);
+      }
+    });
+  return cues;
+}
+
+/**
+ * Parse a transcript in any supported format.
+ * The format comes from the MIME type / file name, or is sniffed.
+ *
+ * @param {string} text
+ * @param {string} [type] MIME type or file name
+ * @returns {Array<Object>} Cue[]
+ */
+export function parseTranscript(text, type = "") {
+  const hint = String(type).toLowerCase();
+  const head = String(text).replace(/^\uFEFF/, "").trimStart();
+  if (/json/.test(hint) || head.startsWith("{")) {
+    return parseTranscriptJson(text);
+  }
+  if (/vtt/.test(hint) || head.startsWith("WEBVTT")) return parseVtt(text);
+  if (/srt|subrip/.test(hint) || /-->/.test(head)) return parseSrt(text);
+  throw new Error("Unsupported transcript format (use VTT, SRT or JSON)");
+}
+
+/**
+ * Index of the cue playing at time `t` (-1 when between/before cues).
+ *
+ * @param {Array<Object>} cues
+ * @param {number} t seconds
+ * @returns {number}
+ */
+export function cueIndexAt(cues, t) {
+  let lo = 0;
+  let hi = cues.length - 1;
+  let idx = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (cues[mid].start <= t + 0.1) {
+      idx = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  if (idx >= 0 && cues[idx].end > cues[idx].start && t > cues[idx].end + 1) {
+    return -1;
+  }
+  return idx;
+}
+
+/* =========================
+   LOADING + STORAGE
+========================= */
+
+function readStored() {
+  try {
+    const raw = localStorage.getItem(TRANSCRIPTS_KEY);
+    const map = raw ? JSON.parse(raw) : {};
+    return map && typeof map === "object" ? map : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Save a transcript the user provided for a track. Stored transcripts are
+ * kept under MAX_STORED_CHARS by dropping the oldest ones; one that does
+ * not fit on its own is only kept for this session.
+ *
+ * @param {string} trackId
+ * @param {Array<Object>} cues
+ * @returns {boolean} whether the transcript will survive a reload
+ */
+export function saveTranscript(trackId, cues) {
+  cache.set(trackId, cues);
+  const map = readStored();
+  delete map[trackId];
+  map[trackId] = cues; // newest last
+
+  const ids = Object.keys(map);
+  let json = JSON.stringify(map);
+  while (json.length > MAX_STORED_CHARS && ids.length > 1) {
+    delete map[ids.shift()];
+    json = JSON.stringify(map);
+  }
+  if (json.length > MAX_STORED_CHARS) return false;
+
+  try {
+    localStorage.setItem(TRANSCRIPTS_KEY, json);
+    return true;
+  } catch (err) {
+    console.warn("Could not store transcript for", trackId, err);
+    return false;
+  }
+}
+
+async function fetchTranscript(url, type, signal) {
+  const res = await fetch(url, { signal });
+  if (!res.ok) throw new Error(`Request failed (${res.status})`);
+  return parseTranscript(
+    await res.text(),
+    type || res.headers.get("content-type") || url
+  );
+}
+
+/**
+ * Load a track's transcript: stored → feed transcript URL.
+ * Failures resolve to an empty list (transcripts are optional).
+ *
+ * @param {{ id: string, transcriptUrl?: string, transcriptType?: string }} track
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<Array<Object>>} Cue[]
+ */
+export async function loadTranscript(track, signal) {
+  if (cache.has(track.id)) return cache.get(track.id);
+  const stored = readStored()[track.id];
+  if (Array.isArray(stored)) return stored;
+
+  let cues = [];
+  if (track.transcriptUrl) {
+    try {
+      cues = await fetchTranscript(
+        track.transcriptUrl,
+        track.transcriptType,
+        signal
+      );
+    } catch (err) {
+      if (err.name === "AbortError") throw err;
+      console.warn("Could not load transcript for", track.id, err);
+    }
+  }
+  cache.set(track.id, cues);
+  return cues;
+}
+
+/* =========================
+   TRANSCRIPT PANEL
+========================= */
+
+let panelTrack = null;
+let panelCues = [];
+let activeIndex = -1;
+let loadCtrl = null;
+/* Last position reported by the player, applied when the panel opens */
+let lastSync = { trackId: "", t: 0 };
+
+function panelEls() {
+  const panel = document.querySelector("#transcriptPanel");
+  return {
+    panel,
+    title: panel?.querySelector("#transcriptTitle"),
+    body: panel?.querySelector("#transcriptBody"),
+    search: panel?.querySelector("#transcriptSearch"),
+    status: panel?.querySelector("#transcriptStatus"),
+  };
+}
+
+function loadedMessage(cues, kept) {
+  return kept
+    ? `Loaded ${cues.length} cues.`
+    : `Loaded ${cues.length} cues (too large to keep after a reload).`;
+}
+
+function renderCues() {
+  const { body, search } = panelEls();
+  if (!body) return;
+  body.innerHTML = "";
+  activeIndex = -1;
+
+  if (panelCues.length === 0) {
+    body.innerHTML = `
+      <p class="muted">
+        No transcript for this episode yet. Load a WebVTT, SRT or JSON
+        transcript by URL or from a file below.
+      </p>
+    `;
+    return;
+  }
+
+  const frag = document.createDocumentFragment();
+  panelCues.forEach((cue, i) => {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "cue";
+    btn.dataset.index = String(i);
+    btn.innerHTML = `<span class="muted cue-time">${fmtClock(
+      cue.start
+    )}</span><span class="cue-text"></span>`;
+    btn.querySelector(".cue-text").textContent = cue.speaker
+      ? `${cue.speaker}: ${cue.text}`
+      : cue.text;
+    frag.appendChild(btn);
+  });
+  body.appendChild(frag);
+
+  if (search?.value) markMatches(search.value);
+  if (lastSync.trackId === panelTrack?.id) {
+    syncTranscript(lastSync.trackId, lastSync.t);
+  }
+}
+
+async function showTranscript(track) {
+  const { panel, title, body, status } = panelEls();
+  if (!panel) return;
+
+  loadCtrl?.abort();
+  const ctrl = new AbortController();
+  loadCtrl = ctrl;
+
+  panelTrack = track;
+  panelCues = [];
+  if (title) title.textContent = `Transcript · ${track.title}`;
+  if (status) status.textContent = "";
+  if (body) {
+    body.innerHTML = `
+      <div class="loading">
+        <div class="spinner"></div>
+        <p>Loading transcript…</p>
+      </div>
+    `;
+  }
+
+  try {
+    const cues = await loadTranscript(track, ctrl.signal);
+    if (ctrl.signal.aborted) return;
+    panelCues = cues;
+  } catch {
+    if (ctrl.signal.aborted) return;
+  }
+  renderCues();
+}
+
+/* Highlight cues containing `query`; returns the match count */
+function markMatches(query) {
+  const { body, status } = panelEls();
+  const q = query.trim().toLowerCase();
+  let count = 0;
+  body?.querySelectorAll(".cue").forEach((el) => {
+    const hit = !!q && el.textContent.toLowerCase().includes(q);
+    el.classList.toggle("match", hit);
+    if (hit) count++;
+  });
+  if (status) {
+    status.textContent = q ? `${count} match${count === 1 ? "" : "es"}` : "";
+  }
+  return count;
+}
+
+/* Scroll to the next (or previous) match after the focused/active cue */
+function jumpToMatch(dir) {
+  const { body } = panelEls();
+  const matches = [...(body?.querySelectorAll(".cue.match") || [])];
+  if (matches.length === 0) return;
+  const from = Number(
+    body.querySelector(".cue.current-match")?.dataset.index ?? activeIndex
+  );
+  const target =
+    dir > 0
+      ? matches.find((el) => Number(el.dataset.index) > from) || matches[0]
+      : [...matches].reverse().find((el) => Number(el.dataset.index) < from) ||
+        matches[matches.length - 1];
+  body.querySelector(".cue.current-match")?.classList.remove("current-match");
+  target.classList.add("current-match");
+  target.scrollIntoView({ block: "center" });
+}
+
+function bindPanel() {
+  const { panel, body, search } = panelEls();
+  if (!panel || panel.dataset.bound) return;
+  panel.dataset.bound = "1";
+
+  panel.querySelector("#transcriptClose")?.addEventListener("click", () => {
+    closeTranscriptPanel();
+  });
+
+  body?.addEventListener("click", (e) => {
+    const el = e.target.closest(".cue");
+    if (!el || !panelTrack) return;
+    const cue = panelCues[Number(el.dataset.index)];
+    if (cue) player.load(panelTrack, { startAt: cue.start });
+  });
+
+  search?.addEventListener("input", () => {
+    body
+      ?.querySelector(".cue.current-match")
+      ?.classList.remove("current-match");
+    if (markMatches(search.value)) jumpToMatch(1);
+  });
+  search?.addEventListener("keydown", (e) => {
+    if (e.key !== "Enter") return;
+    e.preventDefault();
+    jumpToMatch(e.shiftKey ? -1 : 1);
+  });
+
+  const form = panel.querySelector("#transcriptLoad");
+  const status = () => panelEls().status;
+  form?.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    if (!panelTrack) return;
+    const url = form.elements.url.value.trim();
+    status().textContent = "Loading…";
+    try {
+      const cues = await fetchTranscript(url, "", undefined);
+      const kept = saveTranscript(panelTrack.id, cues);
+      panelCues = cues;
+      form.reset();
+      renderCues();
+      status().textContent = loadedMessage(cues, kept);
+    } catch (err) {
+      status().textContent = `Could not load transcript: ${err.message || err}`;
+    }
+  });
+
+  panel
+    .querySelector("#transcriptFile")
+    ?.addEventListener("change", async (e) => {
+      const file = e.target.files?.[0];
+      e.target.value = "";
+      if (!file || !panelTrack) return;
+      try {
+        const cues = parseTranscript(await file.text(), file.type || file.name);
+        const kept = saveTranscript(panelTrack.id, cues);
+        panelCues = cues;
+        renderCues();
+        status().textContent = loadedMessage(cues, kept);
+      } catch (err) {
+        status().textContent = `Could not read transcript: ${
+          err.message || err
+        }`;
+      }
+    });
+}
+
+/**
+ * Open the transcript panel for a track (replacing whatever it showed).
+ *
+ * @param {Object} track { id, title, subtitle, src, transcriptUrl?, transcriptType? }
+ */
+export function openTranscriptPanel(track) {
+  const { panel } = panelEls();
+  if (!panel || !track?.id) return;
+  bindPanel();
+  panel.hidden = false;
+  document
+    .querySelector("#transcriptToggle")
+    ?.setAttribute("aria-expanded", "true");
+  if (panelTrack?.id !== track.id) showTranscript(track);
+}
+
+export function closeTranscriptPanel() {
+  const { panel } = panelEls();
+  if (panel) panel.hidden = true;
+  document
+    .querySelector("#transcriptToggle")
+    ?.setAttribute("aria-expanded", "false");
+}
+
+/**
+ * Toggle the panel for a track (the footer "Transcript" button).
+ *
+ * @param {Object} track
+ */
+export function toggleTranscriptPanel(track) {
+  const { panel } = panelEls();
+  if (panel && !panel.hidden && panelTrack?.id === track?.id) {
+    closeTranscriptPanel();
+  } else {
+    openTranscriptPanel(track);
+  }
+}
+
+/**
+ * Highlight the cue at `t` when the panel shows `trackId`. Called by the
+ * footer player on every `timeupdate`.
+ *
+ * @param {string} trackId
+ * @param {number} t seconds
+ */
+export function syncTranscript(trackId, t) {
+  lastSync = { trackId, t };
+  const { panel, body, search } = panelEls();
+  if (!panel || panel.hidden || panelTrack?.id !== trackId || !body) return;
+
+  const i = cueIndexAt(panelCues, t);
+  if (i === activeIndex) return;
+  body.querySelector(".cue.active")?.classList.remove("active");
+  activeIndex = i;
+  if (i < 0) return;
+
+  const el = body.querySelector(`.cue[data-index="${i}"]`);
+  if (!el) return;
+  el.classList.add("active");
+  // Follow playback unless the user is searching
+  if (document.activeElement !== search) {
+    body.scrollTop = el.offsetTop - body.clientHeight / 2 + el.clientHeight / 2;
+  }
+}
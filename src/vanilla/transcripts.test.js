@@ -0,0 +1,105 @@
+import { describe, expect, it } from "vitest";
+import {
+  cueIndexAt,
+  parseSrt,
+  parseTranscript,
+  parseTranscriptJson,
+  parseVtt,
+} from "./transcripts.js";
+
+describe("parseVtt", () => {
+  it("reads cues with and without hours", () => {
+    const cues = parseVtt(`\uFEFFWEBVTT
+
+NOTE recorded live
+
+intro
+00:01.000 --> 00:04.500 align:start
+<v Ana>Welcome &amp; hello</v>
+
+01:00:02.250 --> 01:00:05.000
+Goodbye
+`);
+
+    expect(cues).toEqual([
+      { start: 1, end: 4.5, text: "Welcome & hello", speaker: "Ana" },
+      { start: 3602.25, end: 3605, text: "Goodbye" },
+    ]);
+  });
+
+  it("rejects files without the WEBVTT header", () => {
+    expect(() => parseVtt("00:01.000 --> 00:02.000\nHi")).toThrow(
+      "Not a WebVTT file"
+    );
+  });
+});
+
+describe("parseSrt", () => {
+  it("reads comma milliseconds and CRLF line ends", () => {
+    const cues = parseSrt(
+      "1\r\n00:00:01,250 --> 00:00:03,000\r\nFirst <i>line</i>\r\nsecond line\r\n\r\n" +
+        "2\r\n00:01:00,500 --> 00:01:02,000\r\nNext\r\n"
+    );
+
+    expect(cues).toEqual([
+      { start: 1.25, end: 3, text: "First line second line" },
+      { start: 60.5, end: 62, text: "Next" },
+    ]);
+  });
+
+  it("keeps cues whose end is missing or before the start", () => {
+    expect(parseSrt("1\n00:00:05,000 --> 00:00:01,000\nOops")).toEqual([
+      { start: 5, end: 5, text: "Oops" },
+    ]);
+  });
+});
+
+describe("parseTranscriptJson", () => {
+  it("merges word segments by speaker up to a sentence end", () => {
+    const cues = parseTranscriptJson({
+      version: "1.0.0",
+      segments: [
+        { speaker: "Ana", startTime: 0, endTime: 0.5, body: "Hello" },
+        { speaker: "Ana", startTime: 0.5, endTime: 1, body: "there." },
+        { speaker: "Ana", startTime: 1, endTime: 1.5, body: "Next" },
+        { speaker: "Ben", startTime: 2, endTime: 2.5, body: "Hi" },
+      ],
+    });
+
+    expect(cues).toEqual([
+      { start: 0, end: 1, text: "Hello there.", speaker: "Ana" },
+      { start: 1, end: 1.5, text: "Next", speaker: "Ana" },
+      { start: 2, end: 2.5, text: "Hi", speaker: "Ben" },
+    ]);
+  });
+});
+
+describe("parseTranscript", () => {
+  it("sniffs the format when there is no type", () => {
+    expect(
+      parseTranscript("WEBVTT\n\n00:01.000 --> 00:02.000\nA")
+    ).toHaveLength(1);
+    expect(parseTranscript("1\n00:00:01,000 --> 00:00:02,000\nA")).toHaveLength(
+      1
+    );
+    expect(
+      parseTranscript('{"segments":[{"startTime":1,"body":"A"}]}')
+    ).toEqual([{ start: 1, end: 1, text: "A" }]);
+    expect(() => parseTranscript("plain text")).toThrow(
+      "Unsupported transcript format"
+    );
+  });
+});
+
+describe("cueIndexAt", () => {
+  const cues = [
+    { start: 0, end: 2, text: "A" },
+    { start: 10, end: 12, text: "B" },
+  ];
+
+  it("finds the cue playing and nothing in gaps", () => {
+    expect(cueIndexAt(cues, 1)).toBe(0);
+    expect(cueIndexAt(cues, 6)).toBe(-1);
+    expect(cueIndexAt(cues, 11)).toBe(1);
+  });
+});
@@ -1,6 +1,56 @@
+import { readFileSync, readdirSync } from 'node:fs';
+import { createHash } from 'node:crypto';
+import { join, relative } from 'node:path';
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 
+/* Every file under `dir`, as paths relative to it ("icons/icon-192.png") */
+function listFiles(dir, root = dir) {
+  let entries = [];
+  try {
+    entries = readdirSync(dir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  return entries.flatMap((entry) => {
+    const path = join(dir, entry.name);
+    return entry.isDirectory()
+      ? listFiles(path, root)
+      : [relative(root, path).split('\\').join('/')];
+  });
+}
+
+/**
+ * Build dist/sw.js from src/sw.js, prefixed with the list of shell files
+ * to precache (the built bundle plus public/) and a version that changes
+ * whenever that list does.
+ */
+function serviceWorker() {
+  return {
+    name: 'earbuzz-service-worker',
+    apply: 'build',
+    enforce: 'post',
+    generateBundle(_, bundle) {
+      const files = [...Object.keys(bundle), ...listFiles('public')].filter(
+        (file) => !file.endsWith('.map') && file !== 'sw.js'
+      );
+      const version = createHash('sha256')
+        .update(files.sort().join('\n'))
+        .digest('hex')
+        .slice(0, 10);
+
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source:
+          `self.__PRECACHE = ${JSON.stringify(files)};\n` +
+          `self.__SHELL_VERSION = ${JSON.stringify(version)};\n` +
+          readFileSync('src/sw.js', 'utf8'),
+      });
+    },
+  };
+}
+
 export default defineConfig({
-  plugins: [react()],
-});
\ No newline at end of file
+  plugins: [react(), serviceWorker()],
+});